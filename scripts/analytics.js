@@ -0,0 +1,181 @@
+// analytics.js — Google Analytics, only with the visitor's consent
+//
+// Google Consent Mode starts with everything denied and gtag.js is not
+// loaded at all until the visitor allows analytics in the consent banner
+// (#consent-banner). The choice is kept in localStorage and can be changed
+// later from the footer (.consent-settings). Ad storage and personalization
+// stay denied either way.
+//
+// With consent, these events are sent:
+//   app_store_click  { placement: 'hero' | 'reviews' } — App Store badge clicked
+//   language_change  { language } — visitor switched language
+//   section_view     { section_id } — a section came into focus, once per page view
+
+const ANALYTICS_ID = 'G-JPK0H5RTQ4';
+const CONSENT_STORAGE_KEY = 'analyticsConsent';
+
+class Analytics {
+  constructor() {
+    // 'granted', 'denied', or null before the visitor has chosen
+    this.consent = this._readConsent();
+    this.banner = null;
+    this._loaded = false;
+    this._language = null;
+    this._viewedSections = new Set();
+
+    window.dataLayer = window.dataLayer || [];
+    window.gtag = window.gtag || function gtag() { window.dataLayer.push(arguments); };
+    window.gtag('consent', 'default', {
+      ad_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied',
+      analytics_storage: 'denied'
+    });
+
+    if (this.consent === 'granted') {
+      this._load();
+    }
+
+    // Listening from the start, so the first languageChanged (the page's
+    // initial language) is never mistaken for a switch
+    window.addEventListener('languageChanged', (e) => {
+      const language = e.detail.language;
+      if (this._language && language !== this._language) {
+        this.track('language_change', { language });
+      }
+      this._language = language;
+    });
+  }
+
+  /**
+   * Wire up the consent banner, the footer settings buttons and the events
+   */
+  init() {
+    this.banner = document.getElementById('consent-banner');
+    if (this.banner) {
+      this.banner.querySelector('.consent-banner__accept').addEventListener('click', () => this.setConsent('granted'));
+      this.banner.querySelector('.consent-banner__decline').addEventListener('click', () => this.setConsent('denied'));
+      this.banner.hidden = this.consent !== null;
+    }
+
+    document.querySelectorAll('.consent-settings').forEach(button => {
+      button.hidden = false;
+      button.addEventListener('click', () => this.showBanner());
+    });
+
+    this._trackEvents();
+  }
+
+  /**
+   * Show the consent banner again, e.g. to withdraw consent
+   */
+  showBanner() {
+    if (!this.banner) return;
+    this.banner.hidden = false;
+    this.banner.querySelector(this.consent === 'granted' ? '.consent-banner__decline' : '.consent-banner__accept').focus();
+  }
+
+  /**
+   * Record the visitor's choice and apply it
+   *
+   * @param {string} consent - "granted" or "denied"
+   */
+  setConsent(consent) {
+    this.consent = consent;
+    try {
+      localStorage.setItem(CONSENT_STORAGE_KEY, consent);
+    } catch (error) {
+      // Storage blocked; the choice lasts until the page is left
+    }
+    if (this.banner) {
+      this.banner.hidden = true;
+    }
+
+    if (consent === 'granted') {
+      window[`ga-disable-${ANALYTICS_ID}`] = false;
+      window.gtag('consent', 'update', { analytics_storage: 'granted' });
+      this._load();
+      this._viewSection(window.scrollTracker ? window.scrollTracker.focusedIndex : -1);
+    } else {
+      // gtag.js can't be unloaded; stop it sending and drop its cookies
+      window[`ga-disable-${ANALYTICS_ID}`] = true;
+      window.gtag('consent', 'update', { analytics_storage: 'denied' });
+      this._deleteCookies();
+    }
+  }
+
+  /**
+   * Send an event if the visitor has allowed analytics
+   *
+   * @param {string} name - Event name
+   * @param {Object} [params] - Event parameters
+   */
+  track(name, params = {}) {
+    if (this.consent === 'granted') {
+      window.gtag('event', name, params);
+    }
+  }
+
+  _readConsent() {
+    try {
+      const stored = localStorage.getItem(CONSENT_STORAGE_KEY);
+      return stored === 'granted' || stored === 'denied' ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _load() {
+    if (this._loaded) return;
+    this._loaded = true;
+
+    window.gtag('consent', 'update', { analytics_storage: 'granted' });
+    window.gtag('js', new Date());
+    window.gtag('config', ANALYTICS_ID);
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${ANALYTICS_ID}`;
+    document.head.appendChild(script);
+  }
+
+  _deleteCookies() {
+    const domains = ['', `; domain=${window.location.hostname}`, `; domain=.${window.location.hostname}`];
+    document.cookie.split(';')
+      .map(cookie => cookie.split('=')[0].trim())
+      .filter(name => name === '_ga' || name.startsWith('_ga_') || name === '_gid')
+      .forEach(name => domains.forEach(domain => {
+        document.cookie = `${name}=; expires=Thu, 01 Jan 1970 00:00:00 GMT; path=/${domain}`;
+      }));
+  }
+
+  _trackEvents() {
+    document.addEventListener('click', (e) => {
+      const badge = e.target.closest && e.target.closest('.app-store-badge');
+      if (!badge) return;
+      const section = badge.closest('.section');
+      this.track('app_store_click', { placement: section && section.id === 'reviews' ? 'reviews' : 'hero' });
+    });
+
+    if (window.scrollTracker) {
+      // Sent after every measurement, including the first one on load
+      window.scrollTracker.addEventListener('progress', (e) => this._viewSection(e.detail.focusedIndex));
+    }
+  }
+
+  // Each section counts once, from when analytics is allowed
+  _viewSection(index) {
+    const section = window.scrollTracker && window.scrollTracker.sections[index];
+    if (this.consent !== 'granted' || !section || !section.id || this._viewedSections.has(section.id)) return;
+    this._viewedSections.add(section.id);
+    this.track('section_view', { section_id: section.id });
+  }
+}
+
+window.analytics = new Analytics();
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => window.analytics.init());
+} else {
+  window.analytics.init();
+}
@@ -0,0 +1,41 @@
+// background-worker.js — Draws the background on an OffscreenCanvas
+//
+// Started by BackgroundRenderer (background.js) with the transferred canvas.
+// Messages from the page:
+//   { type: 'init', canvas, options, size, themes, sections, override, power } — take over the canvas
+//   { type: 'size', data: { width, height, dpr } } — viewport or DPR changed
+//   { type: 'scroll', data: { focusedIndex, blendFactor, blendDirection } }
+//   { type: 'sections', data: [themeName, ...] } — theme of each section
+//   { type: 'override', data: themeName | null } — theme previewed on the page
+//   { type: 'theme', data: { name, gradient, angle } } — theme registered on the page
+//   { type: 'input', data: { pointer: { x, y } | null, tilt: { x, y } | null } } — pointer and device tilt
+//   { type: 'motion', data: reduced } — reduced motion switched on or off
+//   { type: 'power', data: { visible, lowPower } } — page hidden or device saving power
+// Messages to the page:
+//   { type: 'quality', data: { tier, fps, density, frameCost } } — quality tier changed
+
+importScripts('background.js');
+
+let scene = null;
+
+// Not every browser has requestAnimationFrame in workers
+const nextFrame = typeof requestAnimationFrame === 'function'
+  ? callback => requestAnimationFrame(callback)
+  : callback => setTimeout(() => callback(performance.now()), 16);
+
+self.addEventListener('message', (event) => {
+  const message = event.data;
+
+  if (message.type === 'init') {
+    backgroundThemes.registerAll(message.themes);
+    scene = new BackgroundScene(message.canvas.getContext('2d'), message.options, nextFrame);
+    scene.onQualityChange = quality => self.postMessage({ type: 'quality', data: quality });
+    scene.setSize(message.size);
+    scene.setSections(message.sections);
+    scene.setOverride(message.override);
+    scene.setPower(message.power);
+    scene.start();
+  } else if (scene) {
+    scene.receive(message);
+  }
+});
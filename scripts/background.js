@@ -1,168 +1,1036 @@
 // background.js — Canvas background system with gradient interpolation + theme animations
 
-// Section gradient definitions matching spec
-const SECTION_GRADIENTS = [
-  // sunsetGlow (Hero) — matches app: coral red → tangerine → deep rose → dark purple
-  [{ r: 255, g: 107, b: 107 }, { r: 238, g: 90, b: 36 }, { r: 196, g: 69, b: 105 }, { r: 108, g: 44, b: 112 }],
-  // ocean (Core)
-  [{ r: 0, g: 119, b: 182 }, { r: 0, g: 95, b: 140 }, { r: 2, g: 62, b: 88 }, { r: 1, g: 40, b: 58 }],
-  // forest (Smart)
-  [{ r: 45, g: 140, b: 90 }, { r: 27, g: 107, b: 58 }, { r: 20, g: 82, b: 48 }, { r: 11, g: 61, b: 33 }],
-  // aurora (Pro)
-  [{ r: 0, g: 201, b: 167 }, { r: 27, g: 154, b: 170 }, { r: 74, g: 88, b: 153 }, { r: 107, g: 63, b: 160 }],
-  // midnight (More)
-  [{ r: 26, g: 26, b: 78 }, { r: 20, g: 20, b: 56 }, { r: 13, g: 13, b: 38 }, { r: 35, g: 35, b: 105 }],
-  // desert (Reviews)
-  [{ r: 232, g: 168, b: 124 }, { r: 214, g: 132, b: 56 }, { r: 196, g: 107, b: 30 }, { r: 139, g: 69, b: 19 }]
+// Drawn for sections whose data-theme names no registered theme
+const FALLBACK_THEME = {
+  gradient: [{ r: 20, g: 26, b: 40 }, { r: 10, g: 15, b: 26 }],
+  angle: 180,
+  animation: null
+};
+
+/**
+ * Background themes by name, as used in a section's data-theme attribute
+ *
+ * A theme has evenly spaced gradient stops, an angle and optionally an
+ * animation class drawn over the gradient. Gradients come from data/themes.json;
+ * the animations below register themselves at the end of this file.
+ */
+class ThemeRegistry {
+  constructor() {
+    this.themes = new Map();
+    this._warned = new Set();
+  }
+
+  /**
+   * Register a theme, or add to one registered earlier
+   *
+   * @param {string} name - Theme name
+   * @param {Object} theme
+   * @param {Array<string|{r: number, g: number, b: number}>} [theme.gradient] - Stops as "#rrggbb" or RGB
+   * @param {number} [theme.angle] - Direction in degrees as in CSS linear-gradient(); 180 (downward) by default
+   * @param {Function} [theme.animation] - Class with update(time, ctx, width, height, scale, scene, input),
+   *   see BackgroundScene#input
+   */
+  register(name, { gradient, angle, animation } = {}) {
+    const theme = this.themes.get(name) || { gradient: null, angle: 180, animation: null };
+    if (gradient) {
+      if (gradient.length < 2) {
+        throw new Error('a gradient needs at least two stops');
+      }
+      theme.gradient = gradient.map(ThemeRegistry.parseColor);
+    }
+    if (angle !== undefined) {
+      if (typeof angle !== 'number' || !Number.isFinite(angle)) {
+        throw new Error(`invalid angle "${angle}"`);
+      }
+      theme.angle = angle;
+    }
+    if (animation) {
+      theme.animation = animation;
+    }
+    this.themes.set(name, theme);
+  }
+
+  /**
+   * Register every theme in a parsed data/themes.json
+   *
+   * @param {Object} data - { themes: { [name]: { gradient } } }
+   */
+  registerAll(data) {
+    for (const [name, theme] of Object.entries((data && data.themes) || {})) {
+      try {
+        this.register(name, theme);
+      } catch (error) {
+        console.warn(`Skipping background theme "${name}": ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Look up a theme, falling back to a plain dark gradient for unknown names
+   *
+   * @param {string} name - Theme name
+   * @returns {{gradient: Array<{r: number, g: number, b: number}>, angle: number, animation: Function|null}}
+   */
+  get(name) {
+    const theme = this.themes.get(name);
+    if (theme && theme.gradient) {
+      return theme;
+    }
+    if (!this._warned.has(name)) {
+      this._warned.add(name);
+      console.warn(`Unknown background theme "${name}", using the fallback gradient`);
+    }
+    return FALLBACK_THEME;
+  }
+
+  static parseColor(color) {
+    if (typeof color === 'string') {
+      const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+      if (!match) {
+        throw new Error(`invalid color "${color}"`);
+      }
+      return { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) };
+    }
+    return { r: color.r, g: color.g, b: color.b };
+  }
+}
+
+const backgroundThemes = new ThemeRegistry();
+
+// --- Gradient blending in OKLab ---
+//
+// Gradients are blended as { angle, stops: [{ pos, color }] } with colors in
+// OKLab (https://bottosson.github.io/posts/oklab/), which keeps the midpoint
+// of two colors as bright and saturated as they are, where mixing sRGB
+// values goes grey. "oklch" mixes lightness, chroma and hue instead, taking
+// the short way around the hue circle.
+
+function srgbToLinear(c) {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  const v = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.max(0, Math.min(255, v * 255));
+}
+
+function rgbToOklab({ r, g, b }) {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+function oklabToRgb({ L, a, b }) {
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return {
+    r: linearToSrgb(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+    g: linearToSrgb(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+    b: linearToSrgb(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+  };
+}
+
+/**
+ * Mix two OKLab colors
+ *
+ * @param {{L: number, a: number, b: number}} p - Color at t = 0
+ * @param {{L: number, a: number, b: number}} q - Color at t = 1
+ * @param {number} t - 0 to 1
+ * @param {string} space - "oklab" or "oklch"
+ * @returns {{L: number, a: number, b: number}}
+ */
+function mixOklab(p, q, t, space) {
+  const L = p.L + (q.L - p.L) * t;
+  if (space !== 'oklch') {
+    return { L, a: p.a + (q.a - p.a) * t, b: p.b + (q.b - p.b) * t };
+  }
+
+  const c1 = Math.hypot(p.a, p.b);
+  const c2 = Math.hypot(q.a, q.b);
+  // A grey has no hue of its own, so it takes the other color's
+  let h1 = Math.atan2(p.b, p.a);
+  let h2 = Math.atan2(q.b, q.a);
+  if (c1 < 1e-4) h1 = h2;
+  if (c2 < 1e-4) h2 = h1;
+  let dh = h2 - h1;
+  if (dh > Math.PI) dh -= 2 * Math.PI;
+  if (dh < -Math.PI) dh += 2 * Math.PI;
+
+  const c = c1 + (c2 - c1) * t;
+  const h = h1 + dh * t;
+  return { L, a: c * Math.cos(h), b: c * Math.sin(h) };
+}
+
+// Color of a gradient at a position from 0 to 1
+function sampleGradient({ stops }, pos, space) {
+  if (pos <= stops[0].pos) return stops[0].color;
+  for (let i = 1; i < stops.length; i++) {
+    if (pos <= stops[i].pos) {
+      const from = stops[i - 1];
+      const to = stops[i];
+      return mixOklab(from.color, to.color, (pos - from.pos) / (to.pos - from.pos), space);
+    }
+  }
+  return stops[stops.length - 1].color;
+}
+
+/**
+ * Blend two gradients, which may differ in stop count and angle
+ *
+ * The result has a stop wherever either gradient has one, so both are
+ * reproduced exactly at t = 0 and t = 1.
+ *
+ * @param {Object} from - Gradient at t = 0
+ * @param {Object} to - Gradient at t = 1
+ * @param {number} t - 0 to 1
+ * @param {string} space - "oklab" or "oklch"
+ * @returns {Object} Gradient
+ */
+function mixGradients(from, to, t, space) {
+  if (t <= 0) return from;
+  if (t >= 1) return to;
+
+  const positions = Array.from(new Set(from.stops.map(stop => stop.pos).concat(to.stops.map(stop => stop.pos))))
+    .sort((x, y) => x - y);
+  // Turn the short way round
+  const turn = ((to.angle - from.angle) % 360 + 540) % 360 - 180;
+  return {
+    angle: from.angle + turn * t,
+    stops: positions.map(pos => ({
+      pos,
+      color: mixOklab(sampleGradient(from, pos, space), sampleGradient(to, pos, space), t, space)
+    }))
+  };
+}
+
+// Largest OKLab distance between two gradients at their stops, with a
+// degree of angle counting as 0.001
+function gradientDistance(a, b) {
+  let distance = Math.abs(((b.angle - a.angle) % 360 + 540) % 360 - 180) / 1000;
+  for (const { pos } of a.stops.concat(b.stops)) {
+    const p = sampleGradient(a, pos, 'oklab');
+    const q = sampleGradient(b, pos, 'oklab');
+    distance = Math.max(distance, Math.hypot(p.L - q.L, p.a - q.a, p.b - q.b));
+  }
+  return distance;
+}
+
+// Quality tiers, lowest first: frame-rate cap and the share of each
+// animation's particles that is drawn
+const QUALITY_TIERS = [
+  { name: 'minimal', fps: 15, density: 0.25 },
+  { name: 'low', fps: 30, density: 0.5 },
+  { name: 'medium', fps: 30, density: 1 },
+  { name: 'high', fps: 60, density: 1 }
 ];
 
-const THEME_NAMES = ['sunsetGlow', 'ocean', 'forest', 'aurora', 'midnight', 'desert'];
+/**
+ * Picks a quality tier from how long frames take to draw
+ *
+ * Steps down soon after the average draw time passes half the tier's frame
+ * budget, and up only after a long run of frames that would stay well within
+ * the next tier's budget, so it settles instead of flipping between two tiers.
+ */
+class QualityGovernor {
+  /**
+   * @param {string} tierName - Tier to start at, see QUALITY_TIERS
+   */
+  constructor(tierName) {
+    this.index = Math.max(QUALITY_TIERS.findIndex(tier => tier.name === tierName), 0);
+    this.reset();
+  }
+
+  get tier() {
+    return QUALITY_TIERS[this.index];
+  }
 
-class BackgroundRenderer {
-  constructor() {
-    this.canvas = null;
-    this.ctx = null;
+  /**
+   * Forget the frames measured so far, e.g. after drawing was paused
+   */
+  reset() {
+    this.frameCost = 0;
+    this.frames = 0;
+  }
+
+  /**
+   * Add a frame's draw time to the average and change tier if needed
+   *
+   * @param {number} cost - Milliseconds spent drawing the frame
+   * @returns {boolean} Whether the tier changed
+   */
+  record(cost) {
+    // Moving average over roughly the last 20 frames
+    this.frameCost = this.frames === 0 ? cost : this.frameCost + (cost - this.frameCost) * 0.05;
+    this.frames++;
+
+    const next = QUALITY_TIERS[this.index + 1];
+    if (this.frames >= 30 && this.index > 0 && this.frameCost > 1000 / this.tier.fps * 0.5) {
+      this.index--;
+    } else if (this.frames >= 300 && next && this.frameCost < 1000 / next.fps * 0.2) {
+      this.index++;
+    } else {
+      return false;
+    }
+    this.reset();
+    return true;
+  }
+}
+
+// Used where data/themes.json has no "transition"
+const DEFAULT_TRANSITION = { duration: 1200, colorSpace: 'oklab' };
+// Milliseconds for a theme's animation to fade in
+const ANIMATION_FADE = 1000;
+
+// Pointer and tilt updates reach the scene at most this often (ms); the scene
+// eases between them with a time constant of INPUT_EASE ms
+const INPUT_INTERVAL = 50;
+const INPUT_EASE = 250;
+// Degrees of tilt away from the resting position that give full effect
+const TILT_RANGE = 30;
+// localStorage key remembering that the visitor turned tilt effects on
+const TILT_STORAGE_KEY = 'tiltEffects';
+
+// URL of this script, so the worker can be loaded from next to it
+const BACKGROUND_SCRIPT_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+/**
+ * Draws the background: section gradient plus the focused theme's animation
+ *
+ * Runs wherever the canvas lives: in background-worker.js on an
+ * OffscreenCanvas, or on the main thread as a fallback. It only learns about
+ * the page through setSize(), setScroll(), setSections() and setPower(), never
+ * from window or document.
+ *
+ * Gradient changes ease in over time rather than per frame: the gradient is
+ * caught up to the current time whenever its target changes and on every
+ * frame, so it looks the same at any frame rate.
+ *
+ * A QualityGovernor times every frame and sets the frame rate and particle
+ * density. While the page is hidden nothing is drawn; on low power the
+ * animation stops and the gradient is redrawn only when something changes.
+ */
+class BackgroundScene {
+  /**
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - 2D context
+   * @param {Object} options
+   * @param {boolean} options.reducedMotion - Draw the gradient only, without blending
+   * @param {boolean} options.mobile - Start at a lower quality tier
+   * @param {Object} [options.transition] - From data/themes.json
+   * @param {number} [options.transition.duration] - Milliseconds for a gradient change to settle
+   * @param {string} [options.transition.colorSpace] - "oklab" or "oklch"
+   * @param {Function} [requestFrame] - Schedules a callback(now) for the next frame
+   */
+  constructor(ctx, { reducedMotion = false, mobile = false, transition = {} } = {}, requestFrame = callback => requestAnimationFrame(callback)) {
+    this.ctx = ctx;
     this.width = 0;
     this.height = 0;
     this.dpr = 1;
     this.lastFrame = 0;
-    this.animations = {};
-    this.reducedMotion = false;
-    this._prevFocused = -1;
-    this._animOpacity = 1;
-    this._fadeTarget = null;
-    // Smooth gradient transition: current displayed colors lerp toward target
-    this._currentColors = null;
+    this.governor = new QualityGovernor(mobile ? 'low' : 'medium');
+    this.visible = true;
+    this.lowPower = false;
+    // Called with the quality (see the getter) when the tier changes
+    this.onQualityChange = null;
+    this._requestFrame = requestFrame;
+    this._scheduled = false;
+    this.reducedMotion = reducedMotion;
+    this.scroll = { focusedIndex: 0, blendFactor: 0, blendDirection: 1 };
+    this.override = null;
+    this._prevTheme = null;
+    this._fadeStart = 0;
+
+    // Smooth gradient transition: the shown gradient eases toward the target
+    // one, getting within 1% of it in transition.duration ms
+    this.transition = { ...DEFAULT_TRANSITION, ...transition };
+    this._shown = null;
+    this._shownAt = 0;
+    // OKLab gradient of each theme, by theme object
+    this._gradients = new WeakMap();
+
+    // Pointer and tilt as passed to the animations, eased toward the latest
+    // values from setInput(). pointer is in 0–1 canvas coordinates with a
+    // strength that fades in and out; tilt and parallax run from -1 to 1.
+    this.input = {
+      pointer: { x: 0.5, y: 0.5, strength: 0 },
+      tilt: { x: 0, y: 0 },
+      parallax: { x: 0, y: 0 }
+    };
+    this._inputTarget = { pointer: null, tilt: null };
+    this._inputAt = 0;
+
+    // Theme name of each section, in ScrollTracker order
+    this.sectionThemes = [];
+    // Animation instances by theme name, created on first use
+    this.animations = new Map();
   }
 
-  init() {
-    this.canvas = document.getElementById('bg-canvas');
-    if (!this.canvas) return;
-    this.ctx = this.canvas.getContext('2d');
-    this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  /**
+   * Share of each animation's particles to draw, from 0 to 1
+   */
+  get density() {
+    return this.governor.tier.density;
+  }
 
-    this._resize();
-    window.addEventListener('resize', () => this._resize());
+  /**
+   * Current quality tier and the average draw time that chose it
+   *
+   * @returns {{tier: string, fps: number, density: number, frameCost: number}}
+   */
+  get quality() {
+    const { name, fps, density } = this.governor.tier;
+    return { tier: name, fps, density, frameCost: Math.round(this.governor.frameCost * 100) / 100 };
+  }
 
-    const animClasses = {
-      sunsetGlow: typeof SunsetGlowAnimation !== 'undefined' ? SunsetGlowAnimation : null,
-      ocean: typeof OceanAnimation !== 'undefined' ? OceanAnimation : null,
-      forest: typeof ForestAnimation !== 'undefined' ? ForestAnimation : null,
-      aurora: typeof AuroraAnimation !== 'undefined' ? AuroraAnimation : null,
-      midnight: typeof MidnightAnimation !== 'undefined' ? MidnightAnimation : null,
-      desert: typeof DesertAnimation !== 'undefined' ? DesertAnimation : null
-    };
-    for (const [name, Cls] of Object.entries(animClasses)) {
-      this.animations[name] = Cls ? new Cls() : null;
+  get running() {
+    return this.visible && !this.lowPower;
+  }
+
+  /**
+   * Start the frame loop; it runs whenever the page is visible and not on
+   * low power
+   */
+  start() {
+    this._schedule();
+    if (this.onQualityChange) this.onQualityChange(this.quality);
+  }
+
+  /**
+   * @param {Object} power
+   * @param {boolean} power.visible - The page is visible
+   * @param {boolean} power.lowPower - The device is saving power
+   */
+  setPower({ visible, lowPower }) {
+    if (!this.running && visible && !lowPower) {
+      // Time spent paused is neither frame cost nor a reason to skip a frame
+      this.governor.reset();
+      this.lastFrame = 0;
     }
+    this.visible = visible;
+    this.lowPower = lowPower;
+    this._schedule();
+  }
 
-    this._frame(performance.now());
+  setSections(themeNames) {
+    this.sectionThemes = themeNames;
   }
 
-  _resize() {
-    this.dpr = window.devicePixelRatio || 1;
-    this.width = this.canvas.clientWidth || window.innerWidth;
-    this.height = this.canvas.clientHeight || window.innerHeight;
-    this.canvas.width = this.width * this.dpr;
-    this.canvas.height = this.height * this.dpr;
-    // Don't set style.width/height — let CSS inset:0 control sizing
-    this.ctx.setTransform(this.dpr, 0, 0, this.dpr, 0, 0);
+  /**
+   * @param {Object} input
+   * @param {{x: number, y: number}|null} input.pointer - Pointer in 0–1 viewport coordinates, null when away
+   * @param {{x: number, y: number}|null} input.tilt - Device tilt from -1 to 1, null without a sensor
+   */
+  setInput({ pointer, tilt }) {
+    this._easeInput(performance.now());
+    this._inputTarget = { pointer, tilt };
   }
 
-  _frame(now) {
-    requestAnimationFrame(t => this._frame(t));
+  /**
+   * @param {boolean} reduced - Draw the gradient only, without blending
+   */
+  setReducedMotion(reduced) {
+    this.reducedMotion = reduced;
+    // Animations fade back in rather than appearing at full strength
+    this._prevTheme = null;
+  }
 
-    // 30fps throttle
-    if (now - this.lastFrame < 33) return;
-    this.lastFrame = now;
+  /**
+   * Show one theme regardless of scroll position
+   *
+   * @param {string|null} themeName - Theme to show, or null for the sections' themes
+   */
+  setOverride(themeName) {
+    this.override = themeName || null;
+  }
 
-    const time = now / 1000;
-    const st = window.scrollTracker;
-    if (!st) return;
+  /**
+   * Apply an update from BackgroundRenderer, sent directly or through the worker
+   *
+   * @param {{type: string, data: *}} message - "size", "scroll", "sections", "override", "theme", "input", "motion" or "power"
+   */
+  receive({ type, data }) {
+    // Catch the gradient up with its old target first, so the easing doesn't
+    // depend on when frames happen to be drawn
+    if (type === 'scroll' || type === 'sections' || type === 'override' || type === 'theme' || type === 'motion') {
+      this._advance(performance.now());
+    }
+
+    if (type === 'size') {
+      this.setSize(data);
+    } else if (type === 'scroll') {
+      this.setScroll(data);
+    } else if (type === 'sections') {
+      this.setSections(data);
+    } else if (type === 'override') {
+      this.setOverride(data);
+    } else if (type === 'theme') {
+      backgroundThemes.register(data.name, data);
+      this.animations.delete(data.name);
+    } else if (type === 'input') {
+      this.setInput(data);
+      return;
+    } else if (type === 'motion') {
+      this.setReducedMotion(data);
+    } else if (type === 'power') {
+      this.setPower(data);
+      return;
+    }
+
+    // Without the loop, changes are drawn as they come in
+    if (!this.running && this.visible) {
+      this._draw(performance.now(), true);
+    }
+  }
+
+  setSize({ width, height, dpr }) {
+    this.width = width;
+    this.height = height;
+    this.dpr = dpr;
+    this.ctx.canvas.width = width * dpr;
+    this.ctx.canvas.height = height * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  setScroll({ focusedIndex, blendFactor, blendDirection }) {
+    this.scroll = { focusedIndex, blendFactor, blendDirection };
+  }
+
+  _schedule() {
+    if (!this.running) {
+      if (this.visible) this._draw(performance.now(), true);
+      return;
+    }
+    if (this._scheduled) return;
+    this._scheduled = true;
+    this._requestFrame(now => {
+      this._scheduled = false;
+      if (!this.running) return;
+      this._schedule();
+      this.frame(now);
+    });
+  }
 
-    const focused = st.focusedIndex;
-    const blend = st.blendFactor;
-    const dir = st.blendDirection;
+  frame(now) {
+    // Frame-rate cap of the tier, with a millisecond of slack for timer jitter
+    if (now - this.lastFrame < 1000 / this.governor.tier.fps - 1) return;
+    this.lastFrame = now;
 
+    const start = performance.now();
+    this._draw(now, false);
+    if (this.governor.record(performance.now() - start) && this.onQualityChange) {
+      this.onQualityChange(this.quality);
+    }
+  }
+
+  /**
+   * @param {number} now - Timestamp in milliseconds
+   * @param {boolean} still - Draw the target gradient at once, without animation
+   */
+  _draw(now, still) {
     const { ctx, width, height } = this;
 
-    // Draw gradient (no interpolation when reduced motion)
-    const effectiveBlend = this.reducedMotion ? 0 : blend;
-    this._drawGradient(ctx, width, height, focused, effectiveBlend, dir);
+    if (still) {
+      this._shown = this._target();
+      this._shownAt = now;
+    } else {
+      this._advance(now);
+    }
+    this._drawGradient(ctx, width, height, this._shown);
 
     // Theme animation (only focused section's animation)
-    if (!this.reducedMotion) {
-      const theme = THEME_NAMES[focused];
-      const anim = this.animations[theme];
+    const themeName = this._focusedTheme();
+    if (!this.reducedMotion && !still) {
+      const anim = this._animationFor(themeName);
       if (anim) {
         const scale = Math.max(Math.min(width / 400, 1.0), 0.5);
-        // Handle fade transition
-        if (this._prevFocused !== focused) {
-          this._fadeTarget = focused;
-          this._animOpacity = 0;
-          this._prevFocused = focused;
+        // Fade in after a theme change
+        if (this._prevTheme !== themeName) {
+          this._fadeStart = now;
+          this._prevTheme = themeName;
         }
-        if (this._animOpacity < 1) {
-          this._animOpacity = Math.min(this._animOpacity + 0.033, 1);
-        }
-        ctx.globalAlpha = this._animOpacity;
-        anim.update(time, ctx, width, height, scale, this);
+        this._easeInput(now);
+        ctx.globalAlpha = Math.min((now - this._fadeStart) / ANIMATION_FADE, 1);
+        anim.update(now / 1000, ctx, width, height, scale, this, this.input);
         ctx.globalAlpha = 1;
       }
     }
   }
 
-  _drawGradient(ctx, w, h, focused, blend, dir) {
-    // Compute the target colors from scroll position
-    const colors1 = SECTION_GRADIENTS[focused];
-    const adjIdx = focused + dir;
-    const colors2 = (adjIdx >= 0 && adjIdx < SECTION_GRADIENTS.length)
-      ? SECTION_GRADIENTS[adjIdx]
-      : colors1;
+  // A previewed theme (see setOverride) replaces the scroll-driven one
+  _focusedTheme() {
+    return this.override || this.sectionThemes[this.scroll.focusedIndex];
+  }
 
-    const target = this._interpolateGradient(colors1, colors2, blend);
+  // Gradient for the current scroll position, without easing
+  _target() {
+    const focused = this._gradientFor(this._focusedTheme());
+    const { focusedIndex, blendFactor, blendDirection } = this.scroll;
+    const adjacent = this.sectionThemes[focusedIndex + blendDirection];
 
-    // Initialize current colors on first frame
-    if (!this._currentColors) {
-      this._currentColors = target.map(c => ({ r: c.r, g: c.g, b: c.b }));
+    // No blending toward the next section under reduced motion
+    if (this.override || this.reducedMotion || adjacent === undefined) {
+      return focused;
     }
+    return mixGradients(focused, this._gradientFor(adjacent), blendFactor, this.transition.colorSpace);
+  }
 
-    // Smoothly lerp current colors toward target (prevents flash on focus change)
-    const lerpSpeed = 0.08;
-    for (let i = 0; i < this._currentColors.length; i++) {
-      const cur = this._currentColors[i];
-      const tgt = target[i] || target[target.length - 1];
-      cur.r = Math.round(cur.r + (tgt.r - cur.r) * lerpSpeed);
-      cur.g = Math.round(cur.g + (tgt.g - cur.g) * lerpSpeed);
-      cur.b = Math.round(cur.b + (tgt.b - cur.b) * lerpSpeed);
+  /**
+   * Ease the shown gradient toward the target up to a point in time
+   *
+   * @param {number} now - Timestamp in milliseconds
+   */
+  _advance(now) {
+    const target = this._target();
+    if (!this._shown) {
+      this._shown = target;
+      this._shownAt = now;
+      return;
     }
+    if (now <= this._shownAt) return;
+
+    // Exponential easing: after `duration` ms 1% of the difference is left
+    const progress = 1 - Math.exp((this._shownAt - now) * Math.log(100) / this.transition.duration);
+    this._shown = mixGradients(this._shown, target, progress, this.transition.colorSpace);
+    this._shownAt = now;
+
+    // Close enough to drop the extra stops a transition can add
+    if (gradientDistance(this._shown, target) < 1e-4) {
+      this._shown = target;
+    }
+  }
 
-    const grad = ctx.createLinearGradient(0, 0, 0, h);
-    this._currentColors.forEach((c, i) => {
-      grad.addColorStop(i / (this._currentColors.length - 1), `rgb(${c.r},${c.g},${c.b})`);
+  _gradientFor(themeName) {
+    const theme = backgroundThemes.get(themeName);
+    let cached = this._gradients.get(theme);
+    if (!cached || cached.source !== theme.gradient || cached.angle !== theme.angle) {
+      const last = theme.gradient.length - 1;
+      cached = {
+        source: theme.gradient,
+        angle: theme.angle,
+        stops: theme.gradient.map((color, i) => ({ pos: i / last, color: rgbToOklab(color) }))
+      };
+      this._gradients.set(theme, cached);
+    }
+    return cached;
+  }
+
+  _easeInput(now) {
+    const { pointer, tilt, parallax } = this.input;
+    const target = this._inputTarget;
+    const ease = 1 - Math.exp(Math.min(this._inputAt - now, 0) / INPUT_EASE);
+    this._inputAt = now;
+
+    if (target.pointer) {
+      pointer.x += (target.pointer.x - pointer.x) * ease;
+      pointer.y += (target.pointer.y - pointer.y) * ease;
+    }
+    pointer.strength += ((target.pointer ? 1 : 0) - pointer.strength) * ease;
+
+    tilt.x += ((target.tilt ? target.tilt.x : 0) - tilt.x) * ease;
+    tilt.y += ((target.tilt ? target.tilt.y : 0) - tilt.y) * ease;
+
+    // Parallax follows the tilt on devices that have one, otherwise the
+    // pointer's offset from the middle of the screen
+    parallax.x = target.tilt ? tilt.x : (pointer.x - 0.5) * 2 * pointer.strength;
+    parallax.y = target.tilt ? tilt.y : (pointer.y - 0.5) * 2 * pointer.strength;
+  }
+
+  _animationFor(themeName) {
+    if (!this.animations.has(themeName)) {
+      const Animation = backgroundThemes.get(themeName).animation;
+      this.animations.set(themeName, Animation ? new Animation(this) : null);
+    }
+    return this.animations.get(themeName);
+  }
+
+  _drawGradient(ctx, w, h, { angle, stops }) {
+    // Gradient line as in CSS: through the center, long enough for the
+    // corners to get the end colors
+    const rad = angle * Math.PI / 180;
+    const dx = Math.sin(rad);
+    const dy = -Math.cos(rad);
+    const half = (Math.abs(w * dx) + Math.abs(h * dy)) / 2;
+    const grad = ctx.createLinearGradient(w / 2 - dx * half, h / 2 - dy * half, w / 2 + dx * half, h / 2 + dy * half);
+
+    stops.forEach(({ pos, color }) => {
+      const c = oklabToRgb(color);
+      grad.addColorStop(pos, `rgb(${Math.round(c.r)},${Math.round(c.g)},${Math.round(c.b)})`);
     });
 
     ctx.fillStyle = grad;
     ctx.fillRect(0, 0, w, h);
   }
+}
+
+class BackgroundRenderer {
+  constructor() {
+    this.canvas = null;
+    this.worker = null;
+    this.scene = null;
+    this.reducedMotion = false;
+    this.override = null;
+    this.power = { visible: true, lowPower: false };
+    // Quality tier reported by the scene, for debugging; also on
+    // <html data-background-tier>
+    this.quality = null;
+    // Gradient easing settings from data/themes.json
+    this.transition = {};
+    // Latest pointer and tilt, sent to the scene at most every INPUT_INTERVAL ms
+    this.input = { pointer: null, tilt: null };
+    this._inputTimer = null;
+    this._tiltRest = null;
+    // Tilt is read only after the visitor turns it on (#tilt-toggle)
+    this.tilt = false;
+    this.tiltToggle = null;
+    this._tiltSupported = false;
+    this._onOrientationEvent = (e) => this._onOrientation(e);
+  }
+
+  async init() {
+    this.canvas = document.getElementById('bg-canvas');
+    if (!this.canvas) return;
+    this.reducedMotion = Boolean(window.motion && window.motion.reduced);
+
+    // Until the themes are in, the canvas shows its CSS gradient
+    await this._loadThemes();
+    this.sectionThemes = Array.from(document.querySelectorAll('.section'), section => section.dataset.theme || '');
+    this.power.visible = !document.hidden;
+
+    if (!this._startWorker()) {
+      this._startMainThread();
+    }
+
+    window.addEventListener('resize', () => this._resize());
+    this._watchPixelRatio();
+    document.addEventListener('visibilitychange', () => this._setPower({ visible: !document.hidden }));
+    window.addEventListener('motionChanged', (e) => {
+      this.reducedMotion = e.detail.reduced;
+      this._post('motion', this.reducedMotion);
+      if (this.reducedMotion) this._setInput({ pointer: null, tilt: null });
+      this._updateTiltToggle();
+    });
+    this._watchBattery();
+    this._watchPointer();
+    this._watchTilt();
 
-  _interpolateGradient(a, b, t) {
-    const len = Math.max(a.length, b.length);
-    const result = [];
-    for (let i = 0; i < len; i++) {
-      const ai = a[Math.min(Math.floor(i * a.length / len), a.length - 1)];
-      const bi = b[Math.min(Math.floor(i * b.length / len), b.length - 1)];
-      result.push({
-        r: Math.round(ai.r + (bi.r - ai.r) * t),
-        g: Math.round(ai.g + (bi.g - ai.g) * t),
-        b: Math.round(ai.b + (bi.b - ai.b) * t)
+    // Scroll state goes to whichever thread draws
+    const st = window.scrollTracker;
+    if (st) {
+      st.addEventListener('progress', (e) => {
+        const { focusedIndex, blendFactor, blendDirection } = e.detail;
+        this._post('scroll', { focusedIndex, blendFactor, blendDirection });
       });
+      this._post('scroll', { focusedIndex: st.focusedIndex, blendFactor: st.blendFactor, blendDirection: st.blendDirection });
+    }
+  }
+
+  /**
+   * Register a theme for sections to use in data-theme
+   *
+   * The worker can't receive classes, so there an animation only runs if
+   * background.js registers it; the gradient works either way.
+   *
+   * @param {string} name - Theme name
+   * @param {Object} theme - { gradient, angle, animation }, see ThemeRegistry#register
+   */
+  registerTheme(name, { gradient, angle, animation } = {}) {
+    backgroundThemes.register(name, { gradient, angle, animation });
+    this._post('theme', { name, gradient, angle });
+  }
+
+  /**
+   * Names, gradients and angles of the themes that can be shown
+   *
+   * @returns {Array<{name: string, gradient: Array<{r: number, g: number, b: number}>, angle: number}>}
+   */
+  getThemes() {
+    return Array.from(backgroundThemes.themes, ([name, { gradient, angle }]) => ({ name, gradient, angle }))
+      .filter(theme => theme.gradient);
+  }
+
+  /**
+   * Preview a theme on the whole page until cleared with null
+   *
+   * @param {string|null} name - Theme name
+   */
+  setThemeOverride(name) {
+    this.override = name || null;
+    this._post('override', this.override);
+  }
+
+  async _loadThemes() {
+    try {
+      const response = await fetch(new URL('../data/themes.json', BACKGROUND_SCRIPT_URL || document.baseURI));
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = await response.json();
+      backgroundThemes.registerAll(data);
+      this.transition = data.transition || {};
+    } catch (error) {
+      console.error('Failed to load background themes:', error);
+    }
+  }
+
+  /**
+   * Hand the canvas to background-worker.js so drawing stays off the main
+   * thread
+   *
+   * @returns {boolean} Whether the worker took over
+   */
+  _startWorker() {
+    if (!this.canvas.transferControlToOffscreen || typeof Worker === 'undefined' || !BACKGROUND_SCRIPT_URL) {
+      return false;
+    }
+
+    try {
+      this.worker = new Worker(new URL('background-worker.js', BACKGROUND_SCRIPT_URL));
+    } catch (error) {
+      return false;
+    }
+
+    // A worker that fails to load has the canvas already; draw on a new one
+    this.worker.addEventListener('error', () => {
+      this.worker.terminate();
+      this.worker = null;
+      const canvas = this.canvas.cloneNode(false);
+      this.canvas.replaceWith(canvas);
+      this.canvas = canvas;
+      this._startMainThread();
+      if (window.scrollTracker) {
+        this.scene.setScroll(window.scrollTracker);
+      }
+    }, { once: true });
+
+    this.worker.addEventListener('message', (event) => {
+      if (event.data.type === 'quality') this._setQuality(event.data.data);
+    });
+
+    // Gradients registered so far, including any from registerTheme()
+    const themes = {};
+    backgroundThemes.themes.forEach(({ gradient, angle }, name) => {
+      if (gradient) themes[name] = { gradient, angle };
+    });
+
+    const offscreen = this.canvas.transferControlToOffscreen();
+    this.worker.postMessage({
+      type: 'init',
+      canvas: offscreen,
+      options: this._sceneOptions(),
+      size: this._measure(),
+      themes: { themes },
+      sections: this.sectionThemes,
+      override: this.override,
+      power: this.power
+    }, [offscreen]);
+    return true;
+  }
+
+  _startMainThread() {
+    this.scene = new BackgroundScene(this.canvas.getContext('2d'), this._sceneOptions());
+    this.scene.setSize(this._measure());
+    this.scene.setSections(this.sectionThemes);
+    this.scene.setOverride(this.override);
+    this.scene.setPower(this.power);
+    this.scene.onQualityChange = quality => this._setQuality(quality);
+    this.scene.start();
+  }
+
+  _setQuality(quality) {
+    this.quality = quality;
+    document.documentElement.dataset.backgroundTier = quality.tier;
+  }
+
+  _setPower(changes) {
+    Object.assign(this.power, changes);
+    this._post('power', { ...this.power });
+  }
+
+  _setInput(changes) {
+    Object.assign(this.input, changes);
+    if (this._inputTimer) return;
+    this._inputTimer = setTimeout(() => {
+      this._inputTimer = null;
+      this._post('input', { ...this.input });
+    }, INPUT_INTERVAL);
+  }
+
+  // Touch pointers only exist while a finger scrolls the page, so only a
+  // mouse or pen moves the particles; phones can use tilt instead (_watchTilt)
+  _watchPointer() {
+    window.addEventListener('pointermove', (e) => {
+      if (this.reducedMotion || e.pointerType === 'touch') return;
+      this._setInput({ pointer: { x: e.clientX / window.innerWidth, y: e.clientY / window.innerHeight } });
+    }, { passive: true });
+    document.documentElement.addEventListener('pointerleave', () => {
+      if (this.input.pointer) this._setInput({ pointer: null });
+    });
+  }
+
+  // Touch devices with a motion sensor get the "Tilt effects" toggle; until
+  // it is turned on the background only follows the pointer
+  _watchTilt() {
+    this.tiltToggle = document.getElementById('tilt-toggle');
+    if (!this.tiltToggle || typeof DeviceOrientationEvent === 'undefined'
+      || !window.matchMedia('(pointer: coarse)').matches) return;
+
+    this._tiltSupported = true;
+    this.tiltToggle.addEventListener('click', () => this.setTilt(!this.tilt));
+    this._updateTiltToggle();
+
+    let stored = null;
+    try {
+      stored = localStorage.getItem(TILT_STORAGE_KEY);
+    } catch (error) {
+      // Storage blocked; tilt stays off
+    }
+    // iOS only grants this without a tap if the visitor allowed it earlier
+    if (stored === 'on') this.setTilt(true, { remember: false });
+  }
+
+  /**
+   * Turn tilt effects on or off
+   *
+   * On iOS, turning them on asks for motion permission, which Safari only
+   * allows from a tap, so call this from a click handler.
+   *
+   * @param {boolean} enabled - Read the device tilt
+   * @param {Object} [options]
+   * @param {boolean} [options.remember=true] - Keep the choice in localStorage
+   * @returns {Promise<boolean>} Whether tilt effects are on
+   */
+  async setTilt(enabled, { remember = true } = {}) {
+    if (enabled && typeof DeviceOrientationEvent.requestPermission === 'function') {
+      try {
+        enabled = await DeviceOrientationEvent.requestPermission() === 'granted';
+      } catch (error) {
+        // Not from a tap, or refused earlier
+        enabled = false;
+      }
+    }
+
+    if (enabled && !this.tilt) {
+      window.addEventListener('deviceorientation', this._onOrientationEvent);
+    } else if (!enabled && this.tilt) {
+      window.removeEventListener('deviceorientation', this._onOrientationEvent);
+      this._tiltRest = null;
+      this._setInput({ tilt: null });
+    }
+    this.tilt = enabled;
+
+    if (remember) {
+      try {
+        if (enabled) {
+          localStorage.setItem(TILT_STORAGE_KEY, 'on');
+        } else {
+          localStorage.removeItem(TILT_STORAGE_KEY);
+        }
+      } catch (error) {
+        // Storage blocked; the choice lasts until the page is left
+      }
+    }
+    this._updateTiltToggle();
+    return enabled;
+  }
+
+  // Hidden under reduced motion, when no input is read anyway
+  _updateTiltToggle() {
+    if (!this._tiltSupported) return;
+    this.tiltToggle.hidden = this.reducedMotion;
+    this.tiltToggle.setAttribute('aria-pressed', String(this.tilt));
+  }
+
+  _onOrientation(e) {
+    if (this.reducedMotion || e.beta === null || e.gamma === null) return;
+
+    // Left-right and front-back tilt as seen on the rotated screen
+    const angle = (window.screen.orientation && window.screen.orientation.angle) || 0;
+    let x = e.gamma;
+    let y = e.beta;
+    if (angle === 90) {
+      x = e.beta;
+      y = -e.gamma;
+    } else if (angle === 270) {
+      x = -e.beta;
+      y = e.gamma;
+    }
+
+    // However the phone is first held counts as level
+    if (!this._tiltRest) this._tiltRest = { x, y };
+    const clamp = value => Math.max(-1, Math.min(1, value / TILT_RANGE));
+    this._setInput({ tilt: { x: clamp(x - this._tiltRest.x), y: clamp(y - this._tiltRest.y) } });
+  }
+
+  // Stop animating on a low, discharging battery. Only Chromium browsers have
+  // the Battery Status API; elsewhere the governor alone keeps the cost down.
+  async _watchBattery() {
+    if (!navigator.getBattery) return;
+    try {
+      const battery = await navigator.getBattery();
+      const update = () => this._setPower({ lowPower: !battery.charging && battery.level <= 0.2 });
+      battery.addEventListener('chargingchange', update);
+      battery.addEventListener('levelchange', update);
+      update();
+    } catch (error) {
+      // Blocked by a permissions policy
+    }
+  }
+
+  _sceneOptions() {
+    return { reducedMotion: this.reducedMotion, mobile: window.innerWidth <= 768, transition: this.transition };
+  }
+
+  _measure() {
+    return {
+      width: this.canvas.clientWidth || window.innerWidth,
+      height: this.canvas.clientHeight || window.innerHeight,
+      dpr: window.devicePixelRatio || 1
+    };
+  }
+
+  _resize() {
+    // Don't set style.width/height — let CSS inset:0 control sizing
+    this._post('size', this._measure());
+  }
+
+  // Zooming or moving the window to another screen changes the pixel ratio
+  // without necessarily firing resize
+  _watchPixelRatio() {
+    const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    query.addEventListener('change', () => {
+      this._resize();
+      this._watchPixelRatio();
+    }, { once: true });
+  }
+
+  /**
+   * Pass an update to the scene, in the worker or on this thread
+   *
+   * @param {string} type - Message type, see BackgroundScene#receive
+   * @param {Object} data - Message data
+   */
+  _post(type, data) {
+    if (this.worker) {
+      this.worker.postMessage({ type, data });
+    } else if (this.scene) {
+      this.scene.receive({ type, data });
     }
-    return result;
   }
 }
 
 // --- Task 10: SunsetGlow and Ocean animations ---
+//
+// Each particle has a random rank and is drawn while its rank is below the
+// scene's density, so lower quality tiers thin particles out evenly.
 
 class SunsetGlowAnimation {
   update() {
@@ -172,11 +1040,10 @@ class SunsetGlowAnimation {
 
 class OceanAnimation {
   constructor() {
-    const mobile = window.innerWidth <= 768;
-    const count = mobile ? 5 : 10;
     this.bubbles = [];
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < 10; i++) {
       this.bubbles.push({
+        rank: Math.random(),
         x: 0.1 + Math.random() * 0.8,
         speed: 0.04 + Math.random() * 0.05,
         phase: Math.random() * Math.PI * 2,
@@ -187,15 +1054,31 @@ class OceanAnimation {
     }
   }
 
-  update(time, ctx, w, h, scale, renderer) {
+  update(time, ctx, w, h, scale, renderer, input) {
+    const { pointer } = input;
+    const reach = 140 * scale;
+
     // Spiral-rising bubbles
     ctx.save();
     for (const b of this.bubbles) {
+      if (b.rank >= renderer.density) continue;
       const y = 1.0 - ((time * b.speed + b.phase) % 1.0);
-      const py = y * h;
+      let py = y * h;
       // Spiral motion: circular offset that increases with rise
       const spiralAngle = time * b.spiralSpeed + b.phase;
-      const px = b.x * w + Math.sin(spiralAngle) * w * b.spiralRadius;
+      let px = b.x * w + Math.sin(spiralAngle) * w * b.spiralRadius;
+
+      // Drift away from the pointer
+      if (pointer.strength > 0.01) {
+        const dx = px - pointer.x * w;
+        const dy = py - pointer.y * h;
+        const dist = Math.hypot(dx, dy);
+        if (dist > 0 && dist < reach) {
+          const push = (1 - dist / reach) ** 2 * 50 * scale * pointer.strength;
+          px += dx / dist * push;
+          py += dy / dist * push;
+        }
+      }
 
       let alpha = 0.20;
       if (y < 0.08) alpha *= y / 0.08;
@@ -215,11 +1098,10 @@ class OceanAnimation {
 
 class ForestAnimation {
   constructor() {
-    const mobile = window.innerWidth <= 768;
-    const count = mobile ? 4 : 8;
     this.leaves = [];
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < 8; i++) {
       this.leaves.push({
+        rank: Math.random(),
         x: Math.random(),
         speed: 0.025 + Math.random() * 0.02,
         phase: Math.random() * Math.PI * 2,
@@ -230,13 +1112,15 @@ class ForestAnimation {
     }
   }
 
-  update(time, ctx, w, h, scale, renderer) {
+  update(time, ctx, w, h, scale, renderer, input) {
     ctx.save();
     for (const leaf of this.leaves) {
+      if (leaf.rank >= renderer.density) continue;
       const y = ((time * leaf.speed + leaf.phase) % 1.0);
       const py = y * h;
-      const px = leaf.x * w + Math.sin(time * 0.8 + leaf.phase) * w * leaf.drift;
-      const rot = leaf.rotation + time * 0.5;
+      // Leaves blow toward the low side of a tilted phone
+      const px = leaf.x * w + Math.sin(time * 0.8 + leaf.phase) * w * leaf.drift + input.tilt.x * w * 0.04;
+      const rot = leaf.rotation + time * 0.5 + input.tilt.x * 0.6;
 
       let alpha = 0.12;
       if (y < 0.08) alpha *= y / 0.08;
@@ -254,7 +1138,7 @@ class ForestAnimation {
       ctx.fillStyle = 'white';
       ctx.fill();
 
-      ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
+      ctx.setTransform(renderer.dpr, 0, 0, renderer.dpr, 0, 0);
     }
     ctx.restore();
   }
@@ -262,11 +1146,10 @@ class ForestAnimation {
 
 class AuroraAnimation {
   constructor() {
-    const mobile = window.innerWidth <= 768;
-    const count = mobile ? 6 : 12;
     this.particles = [];
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < 12; i++) {
       this.particles.push({
+        rank: Math.random(),
         x: Math.random(),
         y: 0.2 + Math.random() * 0.6,
         speed: 0.01 + Math.random() * 0.015,
@@ -276,11 +1159,13 @@ class AuroraAnimation {
     }
   }
 
-  update(time, ctx, w, h, scale, renderer) {
+  update(time, ctx, w, h, scale, renderer, input) {
+    const { parallax } = input;
     ctx.save();
     for (const p of this.particles) {
-      const px = ((p.x + time * p.speed) % 1.0) * w;
-      const py = p.y * h + Math.sin(time * 0.5 + p.phase) * h * 0.02;
+      if (p.rank >= renderer.density) continue;
+      const px = ((p.x + time * p.speed) % 1.0) * w - parallax.x * 12 * scale;
+      const py = p.y * h + Math.sin(time * 0.5 + p.phase) * h * 0.02 - parallax.y * 8 * scale;
       const alpha = 0.15 + 0.05 * Math.sin(time * 0.8 + p.phase);
 
       ctx.globalAlpha = alpha;
@@ -297,12 +1182,11 @@ class AuroraAnimation {
 
 class MidnightAnimation {
   constructor() {
-    const mobile = window.innerWidth <= 768;
     this.stars = [];
-    // Large bright (8 or 4)
-    const largeCount = mobile ? 4 : 8;
-    for (let i = 0; i < largeCount; i++) {
+    // Large bright
+    for (let i = 0; i < 8; i++) {
       this.stars.push({
+        rank: Math.random(),
         x: Math.random(), y: Math.random(),
         size: 2.5 + Math.random() * 0.5,
         peakAlpha: 0.60 + Math.random() * 0.10,
@@ -310,10 +1194,10 @@ class MidnightAnimation {
         phase: Math.random() * Math.PI * 2
       });
     }
-    // Medium (12 or 6)
-    const mediumCount = mobile ? 6 : 12;
-    for (let i = 0; i < mediumCount; i++) {
+    // Medium
+    for (let i = 0; i < 12; i++) {
       this.stars.push({
+        rank: Math.random(),
         x: Math.random(), y: Math.random(),
         size: 1.8 + Math.random() * 0.2,
         peakAlpha: 0.40 + Math.random() * 0.10,
@@ -321,10 +1205,10 @@ class MidnightAnimation {
         phase: Math.random() * Math.PI * 2
       });
     }
-    // Small dim (15 or 8)
-    const smallCount = mobile ? 8 : 15;
-    for (let i = 0; i < smallCount; i++) {
+    // Small dim
+    for (let i = 0; i < 15; i++) {
       this.stars.push({
+        rank: Math.random(),
         x: Math.random(), y: Math.random(),
         size: 1.0 + Math.random() * 0.5,
         peakAlpha: 0.25 + Math.random() * 0.10,
@@ -334,12 +1218,15 @@ class MidnightAnimation {
     }
   }
 
-  update(time, ctx, w, h, scale, renderer) {
+  update(time, ctx, w, h, scale, renderer, input) {
+    const { parallax } = input;
     ctx.save();
     for (const star of this.stars) {
+      if (star.rank >= renderer.density) continue;
       const alpha = star.peakAlpha * (0.5 + 0.5 * Math.sin(time * star.speed + star.phase));
-      const px = star.x * w;
-      const py = star.y * h;
+      // Parallax: bigger (nearer) stars shift further
+      const px = star.x * w - parallax.x * star.size * 6 * scale;
+      const py = star.y * h - parallax.y * star.size * 6 * scale;
       const r = star.size * scale;
 
       // Glow halo (radial gradient for soft blur effect)
@@ -366,11 +1253,10 @@ class MidnightAnimation {
 
 class DesertAnimation {
   constructor() {
-    const mobile = window.innerWidth <= 768;
-    const count = mobile ? 4 : 8;
     this.flowers = [];
-    for (let i = 0; i < count; i++) {
+    for (let i = 0; i < 8; i++) {
       this.flowers.push({
+        rank: Math.random(),
         x: 0.1 + Math.random() * 0.8,
         y: 0.1 + Math.random() * 0.8,
         petals: 5 + Math.floor(Math.random() * 3),
@@ -385,6 +1271,7 @@ class DesertAnimation {
   update(time, ctx, w, h, scale, renderer) {
     ctx.save();
     for (const flower of this.flowers) {
+      if (flower.rank >= renderer.density) continue;
       const cycle = (time * flower.bloomSpeed + flower.phase) % (Math.PI * 2);
       const bloom = Math.max(0, Math.sin(cycle));
       const alpha = bloom * 0.12;
@@ -419,11 +1306,23 @@ class DesertAnimation {
       ctx.fillStyle = 'white';
       ctx.fill();
 
-      ctx.setTransform(window.devicePixelRatio || 1, 0, 0, window.devicePixelRatio || 1, 0, 0);
+      ctx.setTransform(renderer.dpr, 0, 0, renderer.dpr, 0, 0);
     }
     ctx.restore();
   }
 }
 
-// Instantiate global renderer (animations are lazily resolved in init())
-window.backgroundRenderer = new BackgroundRenderer();
+// Animations drawn over the theme gradients (the gradients are in
+// data/themes.json)
+backgroundThemes.register('sunsetGlow', { animation: SunsetGlowAnimation });
+backgroundThemes.register('ocean', { animation: OceanAnimation });
+backgroundThemes.register('forest', { animation: ForestAnimation });
+backgroundThemes.register('aurora', { animation: AuroraAnimation });
+backgroundThemes.register('midnight', { animation: MidnightAnimation });
+backgroundThemes.register('desert', { animation: DesertAnimation });
+
+// Instantiate global renderer on the page; background-worker.js imports
+// this file for BackgroundScene and the animations only
+if (typeof window !== 'undefined') {
+  window.backgroundRenderer = new BackgroundRenderer();
+}
@@ -0,0 +1,116 @@
+// campaign.js — Passes ad, newsletter and referral attribution on to the App Store
+//
+// The utm_* and ref query parameters of a visit are matched against the rules
+// in data/campaigns.json to get App Store campaign tokens: ct (campaign) and
+// pt (provider), which main.js loads for visits that have parameters.
+// i18n.updateAppStoreBadge() adds the tokens to the badge links. The
+// parameters are kept in sessionStorage, so the attribution survives moving
+// between pages or switching language. Attribution is opt-in: until
+// data/campaigns.json has a providerToken, no tokens are added and the links
+// are left alone.
+
+const CAMPAIGN_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term', 'ref'];
+const CAMPAIGN_STORAGE_KEY = 'campaignParams';
+// Longest campaign token the App Store accepts
+const CAMPAIGN_TOKEN_LENGTH = 40;
+
+class CampaignAttribution {
+  constructor() {
+    // Parameters of this visit, e.g. { utm_source: 'newsletter', utm_campaign: 'spring' }
+    this.params = this._readParams();
+    // App Store tokens ({ ct, pt }), once the rules are loaded
+    this.tokens = {};
+  }
+
+  /**
+   * Whether this visit has campaign parameters to attribute
+   *
+   * @returns {boolean}
+   */
+  hasParams() {
+    return Object.keys(this.params).length > 0;
+  }
+
+  /**
+   * Resolve the App Store tokens for this visit and update the badge links
+   *
+   * The links are left alone when no tokens apply, e.g. while no provider
+   * token is configured.
+   *
+   * @param {Object} config - Contents of data/campaigns.json
+   */
+  apply(config) {
+    this.tokens = CampaignAttribution.resolve(config, this.params);
+    if (!this.tokens.ct) return;
+
+    if (window.i18n) {
+      window.i18n.updateAppStoreLinks(window.i18n.currentLanguage);
+    }
+  }
+
+  /**
+   * Find the App Store tokens for a set of campaign parameters
+   *
+   * The first rule whose match fits wins. A match value of "*" accepts any
+   * value, others compare case-insensitively. {name} in the rule's ct is
+   * replaced with that parameter. App Store Connect only attributes a ct
+   * that comes with a pt, so without a provider token (the rule's pt or the
+   * config's providerToken) nothing is added.
+   *
+   * @param {Object} config - Contents of data/campaigns.json
+   * @param {Object} params - Campaign parameters
+   * @returns {Object} { ct, pt }, empty when no rule matches or no pt is set
+   */
+  static resolve(config, params) {
+    const rule = (config.rules || []).find(({ match = {} }) => Object.entries(match).every(([name, value]) =>
+      params[name] !== undefined && (value === '*' || params[name].toLowerCase() === String(value).toLowerCase())));
+    if (!rule) return {};
+
+    const pt = rule.pt || config.providerToken;
+    const ct = CampaignAttribution.token(rule.ct.replace(/\{(\w+)\}/g, (match, name) => params[name] || ''));
+    if (!pt || !ct) return {};
+
+    return { ct, pt: String(pt) };
+  }
+
+  /**
+   * Reduce text to a campaign token: lowercase letters, digits, "-", "_"
+   * and ".", at most 40 characters
+   *
+   * @param {string} text - Token text
+   * @returns {string} Token, empty if nothing is left
+   */
+  static token(text) {
+    return text.toLowerCase()
+      .replace(/[^a-z0-9._-]+/g, '-')
+      .replace(/-{2,}/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, CAMPAIGN_TOKEN_LENGTH)
+      .replace(/-$/, '');
+  }
+
+  // The URL's parameters replace the stored ones; a visit without any keeps
+  // those of the session
+  _readParams() {
+    const search = new URL(window.location.href).searchParams;
+    const params = {};
+    CAMPAIGN_PARAMS.forEach(name => {
+      const value = search.get(name);
+      if (value) params[name] = value;
+    });
+
+    try {
+      if (Object.keys(params).length > 0) {
+        sessionStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(params));
+        return params;
+      }
+      const stored = JSON.parse(sessionStorage.getItem(CAMPAIGN_STORAGE_KEY));
+      return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+      // Storage blocked or unreadable; use this page's parameters only
+      return params;
+    }
+  }
+}
+
+window.campaign = new CampaignAttribution();
@@ -0,0 +1,106 @@
+// download-cta.js — Platform-aware App Store call to action
+//
+// Each .download-cta holds an App Store badge, a QR code figure and an
+// "iPhone and iPad only" note. On iOS only the badge shows (index.html also
+// has the Smart App Banner meta tag). Desktop visitors get a QR code of the
+// badge's link to scan with their phone, drawn by qr-code.js. Android and
+// other devices get the note with a mailto: link that sends them the App
+// Store link. The QR code and the email follow the link when the language
+// or the campaign tokens change it.
+
+class DownloadCta {
+  /**
+   * @param {HTMLElement} root - CTA container (.download-cta)
+   * @param {string} platform - "ios", "android", "desktop" or "other"
+   */
+  constructor(root, platform) {
+    this.root = root;
+    this.platform = platform;
+    this.link = root.querySelector('.app-store-badge');
+    this.qr = root.querySelector('.download-cta__qr');
+    this.fallback = root.querySelector('.download-cta__fallback');
+    this._url = null;
+  }
+
+  init() {
+    if (!this.link) return;
+
+    this.qr.hidden = this.platform !== 'desktop';
+    this.fallback.hidden = this.platform === 'ios' || this.platform === 'desktop';
+    if (this.platform === 'ios') return;
+
+    // i18n.js and campaign.js rewrite the link's href
+    new MutationObserver(() => this.render()).observe(this.link, { attributes: true, attributeFilter: ['href'] });
+    // The email's subject and text are translated
+    window.addEventListener('languageChanged', () => {
+      this._url = null;
+      this.render();
+    });
+    this.render();
+  }
+
+  /**
+   * Redraw the QR code or the email link for the badge's current link
+   */
+  render() {
+    const url = this.link.href;
+    if (url === this._url) return;
+    this._url = url;
+
+    if (this.platform === 'desktop') {
+      this._drawQrCode(url);
+    } else {
+      this._updateEmail(url);
+    }
+  }
+
+  /**
+   * Tell the platforms apart by user agent
+   *
+   * iPadOS reports itself as a Mac, so a Mac with a touch screen is iOS.
+   *
+   * @param {Navigator} [nav=navigator] - Navigator to inspect
+   * @returns {string} "ios", "android", "desktop" or "other"
+   */
+  static detectPlatform(nav = navigator) {
+    const ua = nav.userAgent || '';
+    if (/iPhone|iPad|iPod/.test(ua) || (nav.platform === 'MacIntel' && nav.maxTouchPoints > 1)) {
+      return 'ios';
+    }
+    if (/Android/i.test(ua)) {
+      return 'android';
+    }
+    const mobile = nav.userAgentData ? nav.userAgentData.mobile : /Mobi|Tablet|Kindle|Silk|KaiOS|BlackBerry|Opera Mini/i.test(ua);
+    return mobile ? 'other' : 'desktop';
+  }
+
+  _drawQrCode(url) {
+    const svg = this.qr.querySelector('.download-cta__code');
+    let code;
+    try {
+      code = QrCode.encode(url);
+    } catch (error) {
+      // Too long to scan comfortably; the badge still links there
+      console.error('Failed to encode QR code:', error);
+      this.qr.hidden = true;
+      return;
+    }
+
+    const size = code.size + 8;
+    const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+    path.setAttribute('d', code.toSvgPath(4));
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.replaceChildren(path);
+    this.qr.hidden = false;
+  }
+
+  _updateEmail(url) {
+    const email = this.fallback.querySelector('.download-cta__email');
+    const t = (key, params) => (window.i18n ? window.i18n.t(key, params) : key);
+    const subject = encodeURIComponent(t('cta.fallback.subject'));
+    const body = encodeURIComponent(t('cta.fallback.body', { url }));
+    email.href = `mailto:?subject=${subject}&body=${body}`;
+  }
+}
+
+window.DownloadCta = DownloadCta;
@@ -4,8 +4,75 @@
 class I18n {
   constructor() {
     this.currentLanguage = 'en';
+    // Loaded locale bundles, keyed by language code (in-memory cache)
     this.translations = {};
+    this._pendingBundles = {};
+    this.fallbackLanguage = 'en';
+    // Languages tried before the fallback language when a string or asset
+    // is missing. Regional variants (e.g., "de-AT") fall back to their base
+    // language ("de") automatically.
+    this.fallbacks = {
+      'zh-Hant': ['zh-Hans']
+    };
+    // Arabic and Hebrew are translated (data/locales, data/reviews,
+    // data/privacy) but not listed until their App Store badges and
+    // screenshots are in assets/
     this.supportedLanguages = ['en', 'de', 'fr', 'es', 'it', 'ja', 'zh-Hans', 'zh-Hant', 'ko', 'ru'];
+    // Text direction per language; anything not listed is left-to-right
+    this.directions = {
+      'ar': 'rtl',
+      'he': 'rtl'
+    };
+    // App Store storefront (country code in the store URL) per language;
+    // without one, Apple opens the visitor's own storefront
+    this.storefronts = {
+      'de': 'de',
+      'fr': 'fr',
+      'es': 'es',
+      'it': 'it',
+      'ja': 'jp',
+      'zh-Hans': 'cn',
+      'zh-Hant': 'tw',
+      'ko': 'kr',
+      'ru': 'ru',
+      'ar': 'sa',
+      'he': 'il'
+    };
+    // Parsed ICU messages and Intl formatters, reused across renders
+    this._messageCache = new Map();
+    this._formatterCache = new Map();
+    // Site root, so data and assets resolve the same from "/" and "/de/"
+    this.baseUrl = this.resolveBaseUrl();
+  }
+
+  /**
+   * Resolve the site root URL
+   *
+   * i18n.js lives in /scripts/, so the root is the parent of this
+   * script's URL. Falls back to the current page's directory.
+   *
+   * @returns {string|null} Absolute URL of the site root, ending with "/",
+   *   or null outside the browser (e.g., in the prerender build)
+   */
+  resolveBaseUrl() {
+    if (typeof document === 'undefined') {
+      return null;
+    }
+    const script = document.currentScript;
+    if (script && script.src) {
+      return new URL('../', script.src).href;
+    }
+    return new URL('./', window.location.href).href;
+  }
+
+  /**
+   * Build an absolute URL for a file relative to the site root
+   *
+   * @param {string} path - Path relative to the site root (e.g., "data/reviews.json")
+   * @returns {string} Absolute URL
+   */
+  assetUrl(path) {
+    return new URL(path.replace(/^\.\//, ''), this.baseUrl).href;
   }
 
   /**
@@ -46,7 +113,14 @@ class I18n {
       'ko': 'ko',
       'ko-kr': 'ko',
       'ru': 'ru',
-      'ru-ru': 'ru'
+      'ru-ru': 'ru',
+      'ar': 'ar',
+      'ar-sa': 'ar',
+      'ar-eg': 'ar',
+      'ar-ae': 'ar',
+      'he': 'he',
+      'he-il': 'he',
+      'iw': 'he' // Legacy Hebrew code still sent by some browsers
     };
 
     // Try exact match first
@@ -64,6 +138,34 @@ class I18n {
     return 'en';
   }
 
+  /**
+   * Get the text direction of a language
+   *
+   * @param {string} lang - Language code
+   * @returns {string} "rtl" or "ltr"
+   */
+  getDirection(lang) {
+    return this.directions[lang] || 'ltr';
+  }
+
+  /**
+   * Get the name of a language, written in another language
+   *
+   * @param {string} code - Language to name (e.g., "ja")
+   * @param {string} [lang] - Language to write the name in (defaults to the current one)
+   * @returns {string} Localized name (e.g., "Japanese"), or the code if unavailable
+   */
+  getLanguageName(code, lang = this.currentLanguage) {
+    if (typeof Intl === 'undefined' || !Intl.DisplayNames) {
+      return code;
+    }
+    try {
+      return this._getFormatter('DisplayNames', lang, { type: 'language' }).of(code) || code;
+    } catch {
+      return code;
+    }
+  }
+
   /**
    * Detect browser language
    *
@@ -81,30 +183,239 @@ class I18n {
   }
 
   /**
-   * Load translations from JSON file
+   * Find the supported language matching a code, ignoring case
    *
-   * Fetches translations.json and stores it for later use
+   * @param {string} code - Language code (e.g., "DE", "zh-hant")
+   * @returns {string|null} Supported language code, or null
+   */
+  matchSupportedLanguage(code) {
+    if (!code) {
+      return null;
+    }
+    const lower = code.toLowerCase();
+    return this.supportedLanguages.find(lang => lang.toLowerCase() === lower) || null;
+  }
+
+  /**
+   * Split a URL's path into segments relative to the site root
    *
-   * @returns {Promise<void>}
+   * @param {URL} url - Page URL
+   * @returns {string[]} Path segments after the site root
    */
-  async loadTranslations() {
-    try {
-      const response = await fetch('./data/translations.json');
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  _getRelativePathSegments(url) {
+    const rootPath = new URL(this.baseUrl).pathname;
+    const path = url.pathname.startsWith(rootPath) ? url.pathname.slice(rootPath.length) : url.pathname.replace(/^\//, '');
+    return path.split('/');
+  }
+
+  /**
+   * Read an explicit language from the page URL
+   *
+   * Accepts either a "lang" query parameter ("?lang=de") or a leading
+   * path segment below the site root ("/de/").
+   *
+   * @param {string} href - URL to inspect (defaults to the current page)
+   * @returns {string|null} Supported language code, or null if none is given
+   */
+  getUrlLanguage(href = window.location.href) {
+    const url = new URL(href);
+    const queryLang = this.matchSupportedLanguage(url.searchParams.get('lang'));
+    if (queryLang) {
+      return queryLang;
+    }
+    return this.matchSupportedLanguage(this._getRelativePathSegments(url)[0]);
+  }
+
+  /**
+   * Build the URL of a page in another language
+   *
+   * Keeps the style of the given URL: a "/de/" path segment is replaced
+   * in place, otherwise the "lang" query parameter is set. Passing null
+   * removes the language, which gives the x-default URL.
+   *
+   * @param {string|null} lang - Language code, or null for no language
+   * @param {string} href - URL to rewrite (defaults to the current page)
+   * @returns {string} Absolute URL
+   */
+  getLanguageUrl(lang, href = window.location.href) {
+    const url = new URL(href);
+    const segments = this._getRelativePathSegments(url);
+
+    if (this.matchSupportedLanguage(segments[0])) {
+      if (lang) {
+        segments[0] = lang;
+      } else {
+        segments.shift();
       }
-      this.translations = await response.json();
-    } catch (error) {
-      console.error('Failed to load translations:', error);
-      // Fallback to default translations
-      this.translations = {
-        'en': {
-          'hero': {
-            'title': 'Coins',
-            'headline': 'Build Your Money Habit',
-            'subtitle2': 'A few seconds a day is all it takes.',
-            'cta': 'Download on the App Store'
+      url.pathname = new URL(this.baseUrl).pathname + segments.join('/');
+      url.searchParams.delete('lang');
+    } else if (lang) {
+      url.searchParams.set('lang', lang);
+    } else {
+      url.searchParams.delete('lang');
+    }
+
+    return url.href;
+  }
+
+  /**
+   * Reflect the current language in the address bar
+   *
+   * Uses history.replaceState so switching languages does not add
+   * history entries.
+   *
+   * @param {string} lang - Language code
+   */
+  updateUrl(lang) {
+    const url = this.getLanguageUrl(lang);
+    if (url !== window.location.href && window.history && window.history.replaceState) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * Point links to other pages of the site at the same language
+   *
+   * Applies to links marked with data-i18n-link, e.g. the footer link to
+   * the privacy policy, so visitors keep their locale across pages.
+   *
+   * @param {string} lang - Language code
+   */
+  updateLocalizedLinks(lang) {
+    document.querySelectorAll('a[data-i18n-link]').forEach(link => {
+      link.href = this.getLanguageUrl(lang, link.href);
+    });
+  }
+
+  /**
+   * Add <link rel="alternate" hreflang> tags for every supported language
+   *
+   * Lets search engines discover each translated version of the page,
+   * plus an x-default entry without an explicit language.
+   */
+  updateAlternateLinks() {
+    const head = document.head;
+    if (!head) {
+      return;
+    }
+
+    const current = new URL(window.location.href);
+    const pageUrl = current.origin + current.pathname;
+
+    head.querySelectorAll('link[rel="alternate"][hreflang]').forEach(link => link.remove());
+
+    const entries = this.supportedLanguages.map(lang => [lang, this.getLanguageUrl(lang, pageUrl)]);
+    entries.push(['x-default', this.getLanguageUrl(null, pageUrl)]);
+
+    entries.forEach(([hreflang, href]) => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.hreflang = hreflang;
+      link.href = href;
+      head.appendChild(link);
+    });
+  }
+
+  /**
+   * Get the ordered list of languages to try for a language
+   *
+   * Follows the configured fallbacks, then strips region/script subtags,
+   * and always ends with the fallback language, e.g.
+   * "zh-Hant" → ["zh-Hant", "zh-Hans", "en"] and "de-AT" → ["de", "en"].
+   * Only supported languages are included.
+   *
+   * @param {string} lang - Language code
+   * @returns {string[]} Language codes, most specific first
+   */
+  getFallbackChain(lang) {
+    const chain = [];
+    const visited = new Set();
+
+    const visit = (code) => {
+      if (!code || visited.has(code)) {
+        return;
+      }
+      visited.add(code);
+
+      const supported = this.matchSupportedLanguage(code);
+      if (supported && !chain.includes(supported)) {
+        chain.push(supported);
+      }
+      (this.fallbacks[supported || code] || []).forEach(visit);
+
+      const dash = code.lastIndexOf('-');
+      if (dash > 0) {
+        visit(code.slice(0, dash));
+      }
+    };
+
+    visit(lang);
+    if (!chain.includes(this.fallbackLanguage)) {
+      chain.push(this.fallbackLanguage);
+    }
+    return chain;
+  }
+
+  /**
+   * Load the UI strings for one language
+   *
+   * Each language lives in its own bundle (data/locales/<lang>.json) and is
+   * fetched at most once; concurrent calls share the same request.
+   *
+   * @param {string} lang - Language code
+   * @returns {Promise<boolean>} True if the bundle is available
+   */
+  loadLanguage(lang) {
+    if (this.translations[lang]) {
+      return Promise.resolve(true);
+    }
+    if (!this.supportedLanguages.includes(lang)) {
+      return Promise.resolve(false);
+    }
+
+    if (!this._pendingBundles[lang]) {
+      this._pendingBundles[lang] = fetch(this.assetUrl(`data/locales/${lang}.json`))
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
           }
+          return response.json();
+        })
+        .then(bundle => {
+          this.translations[lang] = bundle;
+          return true;
+        })
+        .catch(error => {
+          console.error(`Failed to load translations for ${lang}:`, error);
+          return false;
+        })
+        .finally(() => {
+          delete this._pendingBundles[lang];
+        });
+    }
+
+    return this._pendingBundles[lang];
+  }
+
+  /**
+   * Load translations for the active language and its fallback chain
+   *
+   * Other languages are fetched on demand when the visitor switches.
+   *
+   * @param {string} lang - Active language code
+   * @returns {Promise<void>}
+   */
+  async loadTranslations(lang = this.currentLanguage) {
+    await Promise.all(this.getFallbackChain(lang).map(code => this.loadLanguage(code)));
+
+    if (!this.translations[this.fallbackLanguage]) {
+      // Fallback to default translations
+      this.translations[this.fallbackLanguage] = {
+        'hero': {
+          'title': 'Coins',
+          'headline': 'Build Your Money Habit',
+          'subtitle2': 'A few seconds a day is all it takes.',
+          'cta': 'Download on the App Store'
         }
       };
     }
@@ -113,38 +424,411 @@ class I18n {
   /**
    * Get translated text for a given key
    *
-   * Retrieves translation using dot notation (e.g., "hero.title")
+   * Retrieves translation using dot notation (e.g., "hero.title") and
+   * formats it as an ICU message, so strings may contain placeholders
+   * like "{count}" as well as plural and select expressions:
+   *
+   *   "{count, plural, one {# review} other {# reviews}}"
+   *
+   * Missing keys are looked up along the language's fallback chain
+   * (see getFallbackChain()), so the page never mixes in the previous
+   * language's text.
+   *
+   * For backwards compatibility the language may also be passed as the
+   * second argument: t('hero.title', 'de')
    *
    * @param {string} key - Translation key in dot notation
+   * @param {Object|string} params - Values for message placeholders
    * @param {string} lang - Language code (defaults to current language)
-   * @returns {string} Translated text or key if not found
+   * @returns {string} Translated text or key if not found in any fallback
+   */
+  t(key, params = {}, lang = this.currentLanguage) {
+    if (typeof params === 'string') {
+      lang = params;
+      params = {};
+    }
+
+    let value;
+    let sourceLang = lang;
+    for (const code of this.getFallbackChain(lang)) {
+      value = this.lookup(key, code);
+      if (value !== undefined) {
+        sourceLang = code;
+        break;
+      }
+    }
+
+    if (value === undefined) {
+      console.warn(`Translation not found for key: ${key} in language: ${lang}`);
+      return key;
+    }
+
+    if (typeof value !== 'string') {
+      return value || key;
+    }
+
+    try {
+      // Plural rules follow the language the message is written in
+      return this.format(value, params || {}, sourceLang);
+    } catch (error) {
+      console.warn(`Invalid message for key: ${key} in language: ${sourceLang}`, error);
+      return value;
+    }
+  }
+
+  /**
+   * Look up the raw (unformatted) translation for a key
+   *
+   * @param {string} key - Translation key in dot notation
+   * @param {string} lang - Language code
+   * @returns {*} Stored value, or undefined if the key does not exist
    */
-  t(key, lang = this.currentLanguage) {
+  lookup(key, lang) {
     const keys = key.split('.');
     let value = this.translations[lang];
 
     // Try progressive dot-notation traversal, combining remaining segments
     // when a key like "pillar.fast" is stored as a flat key under "hero"
     for (let i = 0; i < keys.length; i++) {
-      if (value && typeof value === 'object') {
-        if (value[keys[i]] !== undefined) {
-          value = value[keys[i]];
+      if (!value || typeof value !== 'object') {
+        return undefined;
+      }
+      if (value[keys[i]] !== undefined) {
+        value = value[keys[i]];
+      } else {
+        return value[keys.slice(i).join('.')];
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Format an ICU message string
+   *
+   * Supports simple arguments ("{name}"), number and date arguments
+   * ("{n, number}", "{d, date, long}"), "plural" and "selectordinal"
+   * with exact matches ("=0"), offsets and "#", and "select".
+   * Plural categories are resolved with Intl.PluralRules for the given
+   * language. Messages without braces are returned unchanged.
+   *
+   * @param {string} message - ICU message
+   * @param {Object} params - Placeholder values
+   * @param {string} lang - Language code used for plural rules and numbers
+   * @returns {string} Formatted message
+   */
+  format(message, params = {}, lang = this.currentLanguage) {
+    if (message.indexOf('{') === -1) {
+      return message;
+    }
+
+    let nodes = this._messageCache.get(message);
+    if (!nodes) {
+      nodes = this._parseMessage(message);
+      this._messageCache.set(message, nodes);
+    }
+
+    return this._formatNodes(nodes, params, lang);
+  }
+
+  /**
+   * Parse an ICU message into a tree of text and argument nodes
+   *
+   * Apostrophes follow ICU rules: "''" is a literal apostrophe and an
+   * apostrophe before a syntax character ({, } or # inside plurals)
+   * starts quoted literal text. Any other apostrophe is kept as-is, so
+   * text like "l'app" needs no escaping.
+   *
+   * @param {string} message - ICU message
+   * @returns {Array} Parsed nodes
+   */
+  _parseMessage(message) {
+    let pos = 0;
+
+    const fail = (reason) => {
+      throw new SyntaxError(`${reason} at position ${pos} in message: ${message}`);
+    };
+
+    const skipWhitespace = () => {
+      while (pos < message.length && /\s/.test(message[pos])) pos++;
+    };
+
+    const readUntil = (pattern) => {
+      const begin = pos;
+      while (pos < message.length && !pattern.test(message[pos])) pos++;
+      return message.slice(begin, pos).trim();
+    };
+
+    const parseNodes = (inPlural) => {
+      const nodes = [];
+      let text = '';
+
+      while (pos < message.length) {
+        const ch = message[pos];
+        const next = message[pos + 1];
+
+        if (ch === "'" && next === "'") {
+          text += "'";
+          pos += 2;
+        } else if (ch === "'" && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+          // Quoted literal text runs until the next unpaired apostrophe
+          pos++;
+          while (pos < message.length) {
+            if (message[pos] === "'") {
+              if (message[pos + 1] !== "'") break;
+              pos++;
+            }
+            text += message[pos];
+            pos++;
+          }
+          pos++;
+        } else if (ch === '{') {
+          if (text) nodes.push(text);
+          text = '';
+          pos++;
+          nodes.push(parseArgument(inPlural));
+        } else if (ch === '}') {
+          break;
+        } else if (ch === '#' && inPlural) {
+          if (text) nodes.push(text);
+          text = '';
+          nodes.push({ type: 'pound' });
+          pos++;
         } else {
-          // Try combining remaining keys as a single flat key
-          const flatKey = keys.slice(i).join('.');
-          if (value[flatKey] !== undefined) {
-            return value[flatKey];
+          text += ch;
+          pos++;
+        }
+      }
+
+      if (text) nodes.push(text);
+      return nodes;
+    };
+
+    const parseArgument = (inPlural) => {
+      skipWhitespace();
+      const name = readUntil(/[,}]/);
+      if (!name) fail('Missing argument name');
+
+      if (message[pos] === '}') {
+        pos++;
+        return { type: 'argument', name };
+      }
+
+      pos++; // skip ","
+      skipWhitespace();
+      const type = readUntil(/[,}]/);
+
+      if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+        if (message[pos] !== ',') fail(`Missing options for ${type}`);
+        pos++;
+
+        const node = { type, name, offset: 0, options: {} };
+        const isPlural = type !== 'select';
+
+        for (;;) {
+          skipWhitespace();
+          if (pos >= message.length) fail('Unterminated argument');
+          if (message[pos] === '}') {
+            pos++;
+            break;
+          }
+
+          const selector = readUntil(/[\s{}]/);
+          if (!selector) fail('Missing selector');
+
+          if (isPlural && selector.startsWith('offset:')) {
+            node.offset = Number(selector.slice(7)) || 0;
+            continue;
           }
-          console.warn(`Translation not found for key: ${key} in language: ${lang}`);
-          return key;
+
+          skipWhitespace();
+          if (message[pos] !== '{') fail(`Missing message for selector "${selector}"`);
+          pos++;
+          node.options[selector] = parseNodes(inPlural || isPlural);
+          if (message[pos] !== '}') fail('Unterminated message');
+          pos++;
         }
-      } else {
-        console.warn(`Translation not found for key: ${key} in language: ${lang}`);
-        return key;
+
+        if (!node.options.other) fail(`Missing "other" option for ${type}`);
+        return node;
+      }
+
+      let style = '';
+      if (message[pos] === ',') {
+        pos++;
+        style = readUntil(/}/);
       }
+      if (message[pos] !== '}') fail('Unterminated argument');
+      pos++;
+      return { type: 'argument', name, format: type, style };
+    };
+
+    const nodes = parseNodes(false);
+    if (pos < message.length) fail('Unexpected "}"');
+    return nodes;
+  }
+
+  /**
+   * Render parsed message nodes with the given parameters
+   *
+   * @param {Array} nodes - Parsed message nodes
+   * @param {Object} params - Placeholder values
+   * @param {string} lang - Language code
+   * @param {number} [pluralValue] - Value substituted for "#"
+   * @returns {string} Rendered text
+   */
+  _formatNodes(nodes, params, lang, pluralValue) {
+    return nodes.map(node => {
+      if (typeof node === 'string') {
+        return node;
+      }
+
+      if (node.type === 'pound') {
+        return pluralValue === undefined ? '#' : this._formatNumber(pluralValue, lang);
+      }
+
+      const value = params[node.name];
+      if (value === undefined || value === null) {
+        return `{${node.name}}`;
+      }
+
+      if (node.type === 'select') {
+        const option = node.options[String(value)] || node.options.other;
+        return this._formatNodes(option, params, lang, pluralValue);
+      }
+
+      if (node.type === 'plural' || node.type === 'selectordinal') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return `{${node.name}}`;
+        }
+        const offsetValue = number - node.offset;
+        const category = this._selectPlural(offsetValue, lang, node.type === 'selectordinal' ? 'ordinal' : 'cardinal');
+        const option = node.options[`=${number}`] || node.options[category] || node.options.other;
+        return this._formatNodes(option, params, lang, offsetValue);
+      }
+
+      if (node.format === 'date' && !Number.isNaN(new Date(value).getTime())) {
+        const dateStyle = ['short', 'medium', 'long', 'full'].includes(node.style) ? node.style : 'medium';
+        // Date-only strings ("2025-09-13") parse as UTC midnight; format them
+        // in UTC too so they don't shift a day west of Greenwich
+        const options = /^\d{4}-\d{2}-\d{2}$/.test(value) ? { dateStyle, timeZone: 'UTC' } : { dateStyle };
+        return this._getFormatter('DateTimeFormat', lang, options).format(new Date(value));
+      }
+
+      if (typeof value === 'number' || node.format === 'number') {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          return String(value);
+        }
+        const options = node.style === 'percent' ? { style: 'percent' }
+          : node.style === 'integer' ? { maximumFractionDigits: 0 }
+            : {};
+        return this._getFormatter('NumberFormat', lang, options).format(number);
+      }
+
+      return String(value);
+    }).join('');
+  }
+
+  /**
+   * Pick the plural category for a number in the given language
+   *
+   * @param {number} value - Number to categorize
+   * @param {string} lang - Language code
+   * @param {string} type - "cardinal" or "ordinal"
+   * @returns {string} Plural category ("zero", "one", "two", "few", "many" or "other")
+   */
+  _selectPlural(value, lang, type) {
+    if (typeof Intl === 'undefined' || !Intl.PluralRules) {
+      return type === 'cardinal' && value === 1 ? 'one' : 'other';
+    }
+    return this._getFormatter('PluralRules', lang, { type }).select(value);
+  }
+
+  _formatNumber(value, lang) {
+    if (typeof Intl === 'undefined') {
+      return String(value);
+    }
+    return this._getFormatter('NumberFormat', lang, {}).format(value);
+  }
+
+  /**
+   * Get a cached Intl formatter for a language
+   *
+   * @param {string} kind - Intl constructor name (e.g., "PluralRules")
+   * @param {string} lang - Language code
+   * @param {Object} options - Constructor options
+   * @returns {Object} Intl formatter instance
+   */
+  _getFormatter(kind, lang, options) {
+    const cacheKey = `${kind}|${lang}|${JSON.stringify(options)}`;
+    let formatter = this._formatterCache.get(cacheKey);
+    if (!formatter) {
+      formatter = new Intl[kind](lang, options);
+      this._formatterCache.set(cacheKey, formatter);
+    }
+    return formatter;
+  }
+
+  /**
+   * Read the placeholder values of a data-i18n element
+   *
+   * Parameters are stored as JSON in the companion data-i18n-params
+   * attribute, e.g. data-i18n-params='{"count": 12}'
+   *
+   * @param {Element} element - Element with a data-i18n attribute
+   * @returns {Object} Parsed parameters (empty when absent or invalid)
+   */
+  getElementParams(element) {
+    const raw = element.getAttribute('data-i18n-params');
+    if (!raw) {
+      return {};
+    }
+    try {
+      return JSON.parse(raw) || {};
+    } catch (error) {
+      console.warn('Invalid data-i18n-params JSON:', raw, error);
+      return {};
+    }
+  }
+
+  /**
+   * Render a single data-i18n element in the current language
+   *
+   * @param {Element} element - Element with a data-i18n attribute
+   */
+  translateElement(element) {
+    const key = element.getAttribute('data-i18n');
+    const translation = this.t(key, this.getElementParams(element));
+
+    if (translation && translation !== key) {
+      element.textContent = translation;
     }
+  }
+
+  /**
+   * Update the parameters of a data-i18n element and re-render it
+   *
+   * @param {Element} element - Element with a data-i18n attribute
+   * @param {Object} params - New placeholder values
+   */
+  setElementParams(element, params) {
+    element.setAttribute('data-i18n-params', JSON.stringify(params));
+    this.translateElement(element);
+  }
 
-    return value || key;
+  /**
+   * Check whether the page was prerendered in the given language
+   *
+   * The prerender build (tools/prerender.js) marks its pages with
+   * <html data-prerendered="de">, so their text is already translated.
+   *
+   * @param {string} lang - Language code
+   * @returns {boolean} True if the DOM already shows this language
+   */
+  isPrerendered(lang) {
+    return document.documentElement.getAttribute('data-prerendered') === lang;
   }
 
   /**
@@ -153,27 +837,78 @@ class I18n {
    * Updates all UI text, App Store badge, and saves preference
    *
    * @param {string} lang - Language code to switch to
+   * @param {Object} [options]
+   * @param {boolean} [options.render=true] - Rewrite the DOM; false when the
+   *   page already shows this language (prerendered)
    * @returns {Promise<void>}
    */
-  async setLanguage(lang) {
+  async setLanguage(lang, { render = true } = {}) {
     if (!this.supportedLanguages.includes(lang)) {
       console.warn(`Language ${lang} not supported, falling back to English`);
       lang = 'en';
     }
 
+    // Fetch the bundle on demand (cached after the first switch); if the
+    // visitor picks another language meanwhile, the newer call wins
+    this._requestedLanguage = lang;
+    await this.loadTranslations(lang);
+    if (this._requestedLanguage !== lang) {
+      return;
+    }
+    if (!this.translations[lang]) {
+      console.warn(`Translations for ${lang} unavailable, falling back to English`);
+      lang = 'en';
+    }
+
     this.currentLanguage = lang;
 
-    // Update HTML lang attribute for accessibility and SEO
+    if (render) {
+      this.renderPage(lang);
+    } else {
+      // Prerendered badges link to this storefront already, but campaign.js
+      // may have rewritten them while the language was still loading
+      this.updateAppStoreLinks(lang);
+    }
+
+    // Update language selector
+    const selector = document.getElementById('language-select');
+    if (selector) {
+      selector.value = lang;
+    }
+
+    // Keep the URL shareable, and links to other pages in the same language
+    this.updateUrl(lang);
+    this.updateLocalizedLinks(lang);
+
+    // Save preference to localStorage
+    localStorage.setItem('preferredLanguage', lang);
+
+    // Trigger custom event for other components to react
+    window.dispatchEvent(new CustomEvent('languageChanged', {
+      detail: { language: lang }
+    }));
+
+    console.log(`Language switched to: ${lang}`);
+  }
+
+  /**
+   * Render all translatable parts of the page in a language
+   *
+   * @param {string} lang - Language code
+   */
+  renderPage(lang) {
+    // Update HTML lang and dir attributes for accessibility, SEO and layout
     document.documentElement.lang = lang;
+    document.documentElement.dir = this.getDirection(lang);
 
     // Update all elements with data-i18n attribute
     document.querySelectorAll('[data-i18n]').forEach(element => {
-      const key = element.getAttribute('data-i18n');
-      const translation = this.t(key);
+      this.translateElement(element);
+    });
 
-      if (translation && translation !== key) {
-        element.textContent = translation;
-      }
+    // Update accessible names of elements with data-i18n-aria-label
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.getAttribute('data-i18n-aria-label')));
     });
 
     // Update meta description
@@ -185,49 +920,78 @@ class I18n {
       }
     }
 
-    // Update page title
-    const titleKey = 'meta.title';
+    // Update page title (pages other than the home page name their own
+    // key with <title data-i18n>)
+    const titleElement = document.querySelector('title[data-i18n]');
+    const titleKey = titleElement ? titleElement.getAttribute('data-i18n') : 'meta.title';
     const titleTranslation = this.t(titleKey);
     if (titleTranslation && titleTranslation !== titleKey) {
       document.title = titleTranslation;
     }
 
-    // Update language selector
-    const selector = document.getElementById('language-select');
-    if (selector) {
-      selector.value = lang;
-    }
-
     // Update App Store badge
     this.updateAppStoreBadge(lang);
 
     // Update localized screenshots
     this.updateScreenshots(lang);
-
-    // Save preference to localStorage
-    localStorage.setItem('preferredLanguage', lang);
-
-    // Trigger custom event for other components to react
-    window.dispatchEvent(new CustomEvent('languageChanged', {
-      detail: { language: lang }
-    }));
-
-    console.log(`Language switched to: ${lang}`);
   }
 
   /**
    * Update App Store badge based on current language
    *
-   * Changes the badge image to match the selected language
+   * Changes the badge image to match the selected language and points the
+   * links at the language's storefront
    *
    * @param {string} lang - Language code
    */
   updateAppStoreBadge(lang) {
     const badges = document.querySelectorAll('.app-store-badge img');
     badges.forEach(badge => {
-      badge.src = `./assets/app-store-badges/${lang}.svg`;
+      this.setLocalizedImage(badge, lang, code => `assets/app-store-badges/${code}.svg`);
       badge.alt = this.t('hero.cta');
     });
+    this.updateAppStoreLinks(lang);
+  }
+
+  /**
+   * Point the App Store badge links at a language's storefront, with the
+   * campaign tokens of this visit (window.campaign, see campaign.js)
+   *
+   * @param {string} lang - Language code
+   */
+  updateAppStoreLinks(lang) {
+    const tokens = window.campaign ? window.campaign.tokens : {};
+    document.querySelectorAll('a.app-store-badge').forEach(link => {
+      link.href = this.getAppStoreUrl(link.href, lang, tokens);
+    });
+  }
+
+  /**
+   * Build an App Store URL for a language's storefront
+   *
+   * Any storefront already in the URL is replaced, so the result can be
+   * passed back in after a language change.
+   *
+   * @param {string} href - App Store URL (e.g., "https://apps.apple.com/app/...")
+   * @param {string} lang - Language code
+   * @param {Object} [tokens] - App Store campaign tokens
+   * @param {string} [tokens.ct] - Campaign token
+   * @param {string} [tokens.pt] - Provider token
+   * @returns {string} URL
+   */
+  getAppStoreUrl(href, lang, tokens = {}) {
+    const url = new URL(href);
+    const storefront = this.storefronts[lang];
+    url.pathname = url.pathname.replace(/^\/(?:[a-z]{2}\/)?app\//, storefront ? `/${storefront}/app/` : '/app/');
+
+    ['ct', 'pt'].forEach(name => {
+      if (tokens[name]) {
+        url.searchParams.set(name, tokens[name]);
+      } else {
+        url.searchParams.delete(name);
+      }
+    });
+    return url.href;
   }
 
   /**
@@ -236,35 +1000,81 @@ class I18n {
    * @param {string} lang - Language code
    */
   updateScreenshots(lang) {
-    // Map i18n lang codes to screenshot folder names
-    const screenshotLang = lang === 'zh-Hans' ? 'zh-Hans' : lang === 'zh-Hant' ? 'zh-Hant' : lang;
+    const urls = [];
     document.querySelectorAll('[data-screenshot]').forEach(img => {
       const filename = img.getAttribute('data-screenshot');
-      img.src = `./assets/screenshots/${screenshotLang}/${filename}`;
+      this.setLocalizedImage(img, lang, code => `assets/screenshots/${code}/${filename}`);
+      urls.push(img.src);
     });
+
+    // Screenshots load lazily; have the service worker fetch the rest of
+    // this language's set now so they are there offline
+    this.cacheAssets(urls);
+  }
+
+  /**
+   * Ask the service worker (sw.js) to cache assets for offline use
+   *
+   * @param {string[]} urls - Asset URLs
+   */
+  cacheAssets(urls) {
+    const controller = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (controller && urls.length > 0) {
+      controller.postMessage({ type: 'cache-assets', urls });
+    }
+  }
+
+  /**
+   * Point an image at a localized asset, falling back down the language's
+   * fallback chain when a file fails to load
+   *
+   * @param {HTMLImageElement} img - Image element
+   * @param {string} lang - Language code
+   * @param {function(string): string} pathForLanguage - Asset path for a language code
+   */
+  setLocalizedImage(img, lang, pathForLanguage) {
+    const chain = this.getFallbackChain(lang);
+    let index = 0;
+
+    img.onerror = () => {
+      index++;
+      if (index < chain.length) {
+        img.src = this.assetUrl(pathForLanguage(chain[index]));
+      } else {
+        img.onerror = null;
+      }
+    };
+    img.src = this.assetUrl(pathForLanguage(chain[0]));
   }
 
   /**
    * Initialize the i18n system
    *
-   * Loads translations, detects or restores language, and sets up event listeners
+   * Picks the initial language (URL first, then the saved preference,
+   * then browser detection), loads its translations and sets up event listeners
    *
    * @returns {Promise<void>}
    */
   async init() {
     console.log('Initializing i18n system...');
 
-    // Load translations first
-    await this.loadTranslations();
-
-    // Check for saved preference, otherwise detect language
+    // An explicit URL language wins, then the saved preference, then detection
+    const urlLang = this.getUrlLanguage();
     const savedLang = localStorage.getItem('preferredLanguage');
-    const initialLang = savedLang || this.detectLanguage();
+    const initialLang = urlLang || savedLang || this.detectLanguage();
 
-    console.log(`Detected/saved language: ${initialLang}`);
+    console.log(`URL/saved/detected language: ${initialLang}`);
 
-    // Set initial language
-    await this.setLanguage(initialLang);
+    // Load only the initial language and the English fallback
+    await this.loadTranslations(initialLang);
+
+    // Prerendered pages ship their alternates already
+    if (!document.documentElement.hasAttribute('data-prerendered')) {
+      this.updateAlternateLinks();
+    }
+
+    // Set initial language; prerendered pages already show it
+    await this.setLanguage(initialLang, { render: !this.isPrerendered(initialLang) });
 
     // Setup language selector event listener
     const selector = document.getElementById('language-select');
@@ -278,12 +1088,17 @@ class I18n {
   }
 }
 
-// Create and export global instance
-window.i18n = new I18n();
-
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => window.i18n.init());
+if (typeof module !== 'undefined' && module.exports) {
+  // Node (prerender build): export the class, no DOM to initialize
+  module.exports = I18n;
 } else {
-  window.i18n.init();
+  // Create and export global instance
+  window.i18n = new I18n();
+
+  // Auto-initialize when DOM is ready
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.i18n.init());
+  } else {
+    window.i18n.init();
+  }
 }
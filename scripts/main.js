@@ -3,60 +3,416 @@
 async function init() {
   await new Promise(resolve => setTimeout(resolve, 100));
 
+  if (window.motion) {
+    window.motion.init();
+  }
+
+  initCampaign();
+
   if (window.scrollTracker) {
     window.scrollTracker.init();
+    initSectionNav();
   }
 
   if (window.backgroundRenderer) {
-    window.backgroundRenderer.init();
+    // The picker lists the themes the renderer loads
+    window.backgroundRenderer.init().then(initThemePicker);
   }
 
+  initDownloadCtas();
+  registerServiceWorker();
+
+  initReviewCarousel();
+  initReviewBrowser();
   await loadReviews();
   initContentAnimations();
 }
 
+function initSectionNav() {
+  const root = document.getElementById('section-nav');
+  if (!root || !window.SectionNav) return;
+
+  new SectionNav(root, window.scrollTracker).init();
+}
+
+function initDownloadCtas() {
+  if (!window.DownloadCta) return;
+
+  const platform = DownloadCta.detectPlatform();
+  document.documentElement.dataset.platform = platform;
+  document.querySelectorAll('.download-cta').forEach(root => new DownloadCta(root, platform).init());
+}
+
+function initCampaign() {
+  if (!window.campaign || !window.campaign.hasParams()) return;
+
+  fetchJson('data/campaigns.json')
+    .then(config => window.campaign.apply(config))
+    .catch(error => console.error('Failed to load campaigns:', error));
+}
+
+function initThemePicker() {
+  const root = document.getElementById('theme-picker');
+  if (!root || !window.ThemePicker) return;
+
+  new ThemePicker(root, window.backgroundRenderer).init();
+}
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.i18n) return;
+
+  // sw.js sits at the site root so it controls every locale directory
+  navigator.serviceWorker.register(window.i18n.assetUrl('sw.js')).catch(error => {
+    console.error('Service worker registration failed:', error);
+  });
+}
+
+// Review metadata and per-language text bundles, fetched once per session
+const reviewCache = { reviews: null, texts: {} };
+
+async function fetchJson(path) {
+  const url = window.i18n ? window.i18n.assetUrl(path) : `./${path}`;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+function loadReviewTexts(lang) {
+  if (!reviewCache.texts[lang]) {
+    reviewCache.texts[lang] = fetchJson(`data/reviews/${lang}.json`).catch(error => {
+      delete reviewCache.texts[lang];
+      throw error;
+    });
+  }
+  return reviewCache.texts[lang];
+}
+
+/**
+ * Pair every review with its text in the current language, taking the
+ * first translation along the language's fallback chain
+ *
+ * @returns {Promise<Array<{review: Object, text: Object, textLanguage: string}>>}
+ */
+async function loadReviewEntries() {
+  const currentLang = window.i18n ? window.i18n.currentLanguage : 'en';
+
+  if (!reviewCache.reviews) {
+    reviewCache.reviews = (await fetchJson('data/reviews.json')).reviews;
+  }
+
+  // Only the current language's text, plus its fallback chain
+  const chain = window.i18n ? window.i18n.getFallbackChain(currentLang) : [currentLang, 'en'];
+  const bundles = await Promise.all(chain.map(lang => loadReviewTexts(lang).catch(() => ({}))));
+
+  return reviewCache.reviews
+    .map(review => {
+      const index = bundles.findIndex(texts => texts[review.id]);
+      return index === -1 ? null : { review, text: bundles[index][review.id], textLanguage: chain[index] };
+    })
+    .filter(Boolean);
+}
+
+function buildReviewCard({ review, text, textLanguage }) {
+  const card = document.createElement('div');
+  card.className = 'review-card';
+
+  const stars = '\u2605'.repeat(review.rating) + '\u2606'.repeat(5 - review.rating);
+  const ratingLabel = window.i18n
+    ? window.i18n.t('sections.reviews.rating', { rating: review.rating })
+    : `${review.rating} out of 5 stars`;
+  // Mark text that is not in the page language (fallbacks, originals)
+  const pageLang = document.documentElement.lang;
+  const langAttrs = textLanguage && textLanguage !== pageLang && window.i18n
+    ? ` lang="${textLanguage}" dir="${window.i18n.getDirection(textLanguage)}"`
+    : '';
+  card.innerHTML = `
+    <div class="review-header">
+      <span class="review-author">${escapeHtml(review.author)}</span>
+      <span class="review-date">${formatDate(review.date)}</span>
+    </div>
+    <div class="review-rating" aria-label="${escapeHtml(ratingLabel)}">${stars}</div>
+    <h4 class="review-title"${langAttrs}>${escapeHtml(text.title)}</h4>
+    <p class="review-text"${langAttrs}>${escapeHtml(text.text)}</p>
+  `;
+  return card;
+}
+
+let reviewCarousel = null;
+// Bumped by every loadReviews() call, so a slower earlier load (e.g. of the
+// previous language) can't overwrite a newer one
+let reviewLoadId = 0;
+
+function initReviewCarousel() {
+  const container = document.getElementById('reviews-carousel');
+  if (!container || !window.ReviewCarousel) return;
+
+  reviewCarousel = new ReviewCarousel(container);
+  reviewCarousel.init();
+}
+
 async function loadReviews() {
-  try {
-    const response = await fetch('./data/reviews.json');
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const loadId = ++reviewLoadId;
+  const isCurrent = () => loadId === reviewLoadId;
 
-    const reviewsData = await response.json();
-    const currentLang = window.i18n ? window.i18n.currentLanguage : 'en';
-    const reviews = reviewsData.reviews;
+  try {
+    const entries = await loadReviewEntries();
+    if (!isCurrent()) return;
 
     const row1 = document.getElementById('reviews-row-1');
     const row2 = document.getElementById('reviews-row-2');
     if (!row1 || !row2) return;
 
-    row1.innerHTML = '';
-    row2.innerHTML = '';
-
-    const mid = Math.ceil(reviews.length / 2);
-
-    reviews.forEach((review, i) => {
-      const translation = review.translations[currentLang] || review.translations['en'];
-      const card = document.createElement('div');
-      card.className = 'review-card';
-
-      const stars = '\u2605'.repeat(review.rating) + '\u2606'.repeat(5 - review.rating);
-      card.innerHTML = `
-        <div class="review-header">
-          <span class="review-author">${escapeHtml(review.author)}</span>
-          <span class="review-date">${formatDate(review.date)}</span>
-        </div>
-        <div class="review-rating" aria-label="${review.rating} out of 5 stars">${stars}</div>
-        <h4 class="review-title">${escapeHtml(translation.title)}</h4>
-        <p class="review-text">${escapeHtml(translation.text)}</p>
-      `;
-      (i < mid ? row1 : row2).appendChild(card);
+    const cards = entries.map(buildReviewCard);
+    const mid = Math.ceil(cards.length / 2);
+    const rows = [cards.slice(0, mid), cards.slice(mid)];
+
+    if (reviewCarousel) {
+      reviewCarousel.setRows(rows);
+    } else {
+      [row1, row2].forEach((row, i) => row.replaceChildren(...rows[i]));
+    }
+
+    await updateStructuredData(entries, isCurrent);
+
+    if (reviewBrowser.open && isCurrent()) {
+      await renderReviewBrowser(entries);
+    }
+  } catch (error) {
+    if (!isCurrent()) return;
+    console.error('Failed to load reviews:', error);
+    // Try again once the connection is back rather than leaving the rows
+    // empty; a retry left over from an earlier failure is replaced, not added to
+    window.removeEventListener('online', loadReviews);
+    window.addEventListener('online', loadReviews, { once: true });
+  }
+}
+
+// Static JSON-LD fields from the page and the App Store rating, read once
+const structuredDataCache = { base: null, rating: undefined };
+
+/**
+ * Re-emit the schema.org JSON-LD with the reviews in the current language
+ *
+ * @param {Array} entries - Reviews from loadReviewEntries()
+ * @param {Function} [isCurrent] - Whether the entries are still wanted once
+ *   the rating has loaded
+ */
+async function updateStructuredData(entries, isCurrent = () => true) {
+  const script = document.getElementById('structured-data');
+  if (!script || !window.StructuredData || !window.i18n) return;
+
+  try {
+    if (!structuredDataCache.base) {
+      structuredDataCache.base = StructuredData.parse(script.textContent);
+    }
+    if (structuredDataCache.rating === undefined) {
+      const source = script.getAttribute('data-rating-source');
+      structuredDataCache.rating = source ? await fetchJson(source).catch(() => null) : null;
+    }
+    if (!isCurrent()) return;
+
+    const lang = window.i18n.currentLanguage;
+    script.textContent = StructuredData.serialize(StructuredData.build(structuredDataCache.base, {
+      rating: structuredDataCache.rating,
+      reviews: entries,
+      lang,
+      i18n: window.i18n
+    }));
+  } catch (error) {
+    console.error('Failed to update structured data:', error);
+  }
+}
+
+// Browsable review wall: filters, sort order and the reviews currently
+// showing their original text instead of a translation
+const reviewBrowser = {
+  open: false,
+  rating: 'all',
+  language: 'all',
+  sort: 'featured',
+  showingOriginal: new Set(),
+  renderId: 0
+};
+
+// A filter value that is no longer among the options falls back to "all"
+function availableFilterValue(options, value) {
+  return options.some(([optionValue]) => optionValue === value) ? value : 'all';
+}
+
+/**
+ * Fill a filter <select> with options, keeping its first ("all") option
+ * and the current selection when it is still available
+ */
+function setFilterOptions(select, options, value) {
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+  options.forEach(([optionValue, label]) => select.add(new Option(label, optionValue)));
+  select.value = availableFilterValue(options, value);
+  return select.value;
+}
+
+/**
+ * List the ratings and original languages the entries offer to filter by
+ *
+ * @returns {{rating: Array<[string, string]>, language: Array<[string, string]>}} [value, label] pairs
+ */
+function reviewFilterOptions(entries) {
+  const i18n = window.i18n;
+
+  const ratings = [...new Set(entries.map(({ review }) => review.rating))].sort((a, b) => b - a);
+  const languages = [...new Set(entries.map(({ review }) => review.originalLanguage))]
+    .map(code => [code, i18n.getLanguageName(code)])
+    .sort((a, b) => a[1].localeCompare(b[1], i18n.currentLanguage));
+
+  return {
+    rating: ratings.map(rating => [String(rating), i18n.t('sections.reviews.filters.stars', { rating })]),
+    language: languages
+  };
+}
+
+function updateReviewFilters(options) {
+  reviewBrowser.rating = setFilterOptions(
+    document.getElementById('reviews-filter-rating'), options.rating, reviewBrowser.rating);
+  reviewBrowser.language = setFilterOptions(
+    document.getElementById('reviews-filter-language'), options.language, reviewBrowser.language);
+}
+
+function buildTranslationNote(entry, showingOriginal) {
+  const i18n = window.i18n;
+  const note = document.createElement('p');
+  note.className = 'review-translation';
+
+  if (!showingOriginal) {
+    const label = document.createElement('span');
+    label.textContent = i18n.t('sections.reviews.translatedFrom', {
+      language: i18n.getLanguageName(entry.review.originalLanguage)
     });
+    note.append(label, ' · ');
+  }
 
-    // Duplicate for seamless infinite scroll
-    row1.innerHTML += row1.innerHTML;
-    row2.innerHTML += row2.innerHTML;
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'review-original-toggle';
+  button.dataset.reviewId = entry.review.id;
+  button.setAttribute('aria-pressed', String(showingOriginal));
+  button.textContent = i18n.t(showingOriginal ? 'sections.reviews.showTranslation' : 'sections.reviews.showOriginal');
+  note.appendChild(button);
+  return note;
+}
+
+async function renderReviewBrowser(entries) {
+  const grid = document.getElementById('reviews-grid');
+  const status = document.getElementById('reviews-status');
+  if (!grid || !status || !window.i18n) return;
+
+  const renderId = ++reviewBrowser.renderId;
+  try {
+    entries = entries || await loadReviewEntries();
   } catch (error) {
     console.error('Failed to load reviews:', error);
+    if (renderId === reviewBrowser.renderId) {
+      status.textContent = window.i18n.t('sections.reviews.error');
+    }
+    return;
   }
+
+  // The filter <select>s are only rewritten once this render is known to
+  // be current, so filter by what they will show
+  const filterOptions = reviewFilterOptions(entries);
+  const rating = availableFilterValue(filterOptions.rating, reviewBrowser.rating);
+  const language = availableFilterValue(filterOptions.language, reviewBrowser.language);
+
+  let visible = entries.filter(({ review }) =>
+    (rating === 'all' || review.rating === Number(rating)) &&
+    (language === 'all' || review.originalLanguage === language));
+  if (reviewBrowser.sort === 'newest') {
+    visible = visible.slice().sort((a, b) => b.review.date.localeCompare(a.review.date));
+  }
+
+  // Swap in the original text for reviews toggled to "show original"
+  const cards = await Promise.all(visible.map(async entry => {
+    const { review } = entry;
+    if (entry.textLanguage === review.originalLanguage) {
+      return { entry, translated: false };
+    }
+    if (reviewBrowser.showingOriginal.has(review.id)) {
+      const original = await loadReviewTexts(review.originalLanguage).then(texts => texts[review.id]).catch(() => null);
+      if (original) {
+        return { entry: { review, text: original, textLanguage: review.originalLanguage }, translated: true, showingOriginal: true };
+      }
+    }
+    return { entry, translated: true, showingOriginal: false };
+  }));
+
+  // A newer render (filter change, language switch) has taken over
+  if (renderId !== reviewBrowser.renderId) return;
+
+  updateReviewFilters(filterOptions);
+  grid.innerHTML = '';
+  cards.forEach(({ entry, translated, showingOriginal }) => {
+    const card = buildReviewCard(entry);
+    if (translated) {
+      card.appendChild(buildTranslationNote(entry, showingOriginal));
+    }
+    grid.appendChild(card);
+  });
+
+  status.textContent = visible.length > 0
+    ? window.i18n.t('sections.reviews.count', { count: visible.length })
+    : window.i18n.t('sections.reviews.empty');
+}
+
+function setReviewBrowserOpen(open) {
+  const toggle = document.getElementById('reviews-browse-toggle');
+  const browser = document.getElementById('reviews-browser');
+  const marquee = document.querySelector('.reviews-container');
+
+  reviewBrowser.open = open;
+  browser.hidden = !open;
+  if (marquee) marquee.hidden = open;
+  toggle.setAttribute('aria-expanded', String(open));
+  toggle.setAttribute('data-i18n', open ? 'sections.reviews.collapse' : 'sections.reviews.browse');
+  if (window.i18n) window.i18n.translateElement(toggle);
+
+  if (open) {
+    renderReviewBrowser();
+  }
+}
+
+function initReviewBrowser() {
+  const toggle = document.getElementById('reviews-browse-toggle');
+  const browser = document.getElementById('reviews-browser');
+  if (!toggle || !browser) return;
+
+  toggle.addEventListener('click', () => setReviewBrowserOpen(!reviewBrowser.open));
+
+  [['reviews-filter-rating', 'rating'], ['reviews-filter-language', 'language'], ['reviews-sort', 'sort']]
+    .forEach(([id, key]) => {
+      document.getElementById(id).addEventListener('change', (e) => {
+        reviewBrowser[key] = e.target.value;
+        renderReviewBrowser();
+      });
+    });
+
+  const grid = document.getElementById('reviews-grid');
+  grid.addEventListener('click', async (e) => {
+    const button = e.target.closest('.review-original-toggle');
+    if (!button) return;
+
+    const id = button.dataset.reviewId;
+    if (reviewBrowser.showingOriginal.has(id)) {
+      reviewBrowser.showingOriginal.delete(id);
+    } else {
+      reviewBrowser.showingOriginal.add(id);
+    }
+    await renderReviewBrowser();
+
+    // Keep keyboard focus on the toggle that was pressed
+    const again = [...grid.querySelectorAll('.review-original-toggle')]
+      .find(toggle => toggle.dataset.reviewId === id);
+    if (again) again.focus();
+  });
 }
 
 function formatDate(dateString) {
@@ -66,7 +422,7 @@ function formatDate(dateString) {
     const localeMap = {
       'en': 'en-US', 'de': 'de-DE', 'fr': 'fr-FR', 'es': 'es-ES',
       'it': 'it-IT', 'ja': 'ja-JP', 'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW',
-      'ko': 'ko-KR', 'ru': 'ru-RU'
+      'ko': 'ko-KR', 'ru': 'ru-RU', 'ar': 'ar', 'he': 'he-IL'
     };
     return date.toLocaleDateString(localeMap[lang] || 'en-US', {
       year: 'numeric', month: 'short', day: 'numeric'
@@ -74,13 +430,17 @@ function formatDate(dateString) {
   } catch { return dateString; }
 }
 
+// Safe in text and in double-quoted attributes
 function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
 function initContentAnimations() {
+  const sections = document.querySelectorAll('.section');
   const observer = new IntersectionObserver((entries) => {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
@@ -90,22 +450,27 @@ function initContentAnimations() {
     });
   }, { threshold: 0.15, rootMargin: '0px 0px -50px 0px' });
 
-  document.querySelectorAll('.section').forEach(s => observer.observe(s));
+  // With reduced motion all content is shown at once instead of on scroll
+  const revealAll = () => sections.forEach(s => {
+    s.classList.add('visible');
+    observer.unobserve(s);
+  });
+
+  if (window.motion && window.motion.reduced) {
+    revealAll();
+  } else {
+    sections.forEach(s => observer.observe(s));
+  }
+
+  window.addEventListener('motionChanged', (e) => {
+    if (e.detail.reduced) revealAll();
+  });
 }
 
 window.addEventListener('languageChanged', async () => {
   await loadReviews();
 });
 
-let prevWidth = window.innerWidth;
-window.addEventListener('resize', async () => {
-  const w = window.innerWidth;
-  if ((prevWidth <= 768) !== (w <= 768)) {
-    await loadReviews();
-    prevWidth = w;
-  }
-});
-
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
@@ -0,0 +1,89 @@
+// motion.js — Site-wide reduced-motion switch
+//
+// Follows prefers-reduced-motion, live, unless the visitor has used the
+// "Reduce motion" toggle, whose choice is kept in localStorage. The result
+// is on <html data-motion="reduced|full"> for CSS, and every change fires a
+// motionChanged event on window for the background, the content reveals and
+// the review carousel.
+
+const MOTION_STORAGE_KEY = 'motionPreference';
+
+class MotionController {
+  constructor() {
+    this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+    // 'reduce' or 'full' when chosen with the toggle, null to follow the system
+    this.preference = this._readPreference();
+    this.reduced = this._resolve();
+    this.toggle = null;
+
+    this.query.addEventListener('change', () => this._update());
+    this._apply();
+  }
+
+  /**
+   * Wire up the toggle button, if the page has one
+   */
+  init() {
+    this.toggle = document.getElementById('motion-toggle');
+    if (!this.toggle) return;
+
+    this.toggle.hidden = false;
+    this.toggle.addEventListener('click', () => this.setReduced(!this.reduced));
+    this._apply();
+  }
+
+  /**
+   * Choose reduced or full motion regardless of the system setting
+   *
+   * Choosing what the system asks for clears the stored choice, so later
+   * changes to the system setting apply again.
+   *
+   * @param {boolean} reduced - Reduce motion
+   */
+  setReduced(reduced) {
+    this.preference = reduced === this.query.matches ? null : (reduced ? 'reduce' : 'full');
+    try {
+      if (this.preference) {
+        localStorage.setItem(MOTION_STORAGE_KEY, this.preference);
+      } else {
+        localStorage.removeItem(MOTION_STORAGE_KEY);
+      }
+    } catch (error) {
+      // Storage blocked; the choice lasts until the page is left
+    }
+    this._update();
+  }
+
+  _readPreference() {
+    try {
+      const stored = localStorage.getItem(MOTION_STORAGE_KEY);
+      return stored === 'reduce' || stored === 'full' ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _resolve() {
+    return this.preference ? this.preference === 'reduce' : this.query.matches;
+  }
+
+  _update() {
+    const reduced = this._resolve();
+    if (reduced === this.reduced) return;
+
+    this.reduced = reduced;
+    this._apply();
+    window.dispatchEvent(new CustomEvent('motionChanged', {
+      detail: { reduced }
+    }));
+  }
+
+  _apply() {
+    document.documentElement.dataset.motion = this.reduced ? 'reduced' : 'full';
+    if (this.toggle) {
+      this.toggle.setAttribute('aria-pressed', String(this.reduced));
+    }
+  }
+}
+
+window.motion = new MotionController();
@@ -0,0 +1,152 @@
+// privacy.js — Renders the localized privacy policy
+//
+// The policy lives in data/privacy/<lang>.json as a list of sections, each
+// with an optional heading and blocks of type "paragraph", "subheading",
+// "note" or "list". Text may use **bold**, *emphasis*, [links](mailto:...)
+// and line breaks; everything else is escaped.
+
+class PrivacyPolicy {
+  constructor() {
+    this.documents = {};
+    this.renderedLanguage = null;
+  }
+
+  static escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Convert the inline markup of one text block to HTML
+   *
+   * @param {string} text - Block text
+   * @returns {string} HTML
+   */
+  static renderInline(text) {
+    return PrivacyPolicy.escapeHtml(text)
+      .replace(/\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)/g, '<a href="$2">$1</a>')
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>')
+      .replace(/\n/g, '<br>\n      ');
+  }
+
+  static renderBlock(block) {
+    const inline = PrivacyPolicy.renderInline;
+    switch (block.type) {
+      case 'subheading':
+        return `<h3>${inline(block.text)}</h3>`;
+      case 'note':
+        return `<div class="box">${inline(block.text)}</div>`;
+      case 'list':
+        return `<ul>\n${block.items.map(item => `      <li>${inline(item)}</li>`).join('\n')}\n    </ul>`;
+      default:
+        return `<p>${inline(block.text)}</p>`;
+    }
+  }
+
+  /**
+   * Render a policy document to HTML (shared with tools/prerender.js)
+   *
+   * @param {Object} policy - Parsed data/privacy/<lang>.json
+   * @returns {string} HTML for the <main> element
+   */
+  static render(policy) {
+    const sections = policy.sections.map(section => {
+      const parts = section.heading ? [`<h2>${PrivacyPolicy.renderInline(section.heading)}</h2>`] : [];
+      section.blocks.forEach(block => parts.push(PrivacyPolicy.renderBlock(block)));
+      return `  <section>\n    ${parts.join('\n    ')}\n  </section>`;
+    });
+    return `\n${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * Put rendered policy HTML into a page's <main id="privacy-content">
+   * (tools/prerender.js), replacing whatever policy it held
+   *
+   * @param {string} page - privacy-policy.html source
+   * @param {string} policyHtml - Output of PrivacyPolicy.render()
+   * @param {string} lang - Language the page shows
+   * @returns {string} Updated page
+   */
+  static replaceStatic(page, policyHtml, lang) {
+    const pattern = /<main id="privacy-content"[^>]*>[\s\S]*?<\/main>/;
+    if (!pattern.test(page)) {
+      throw new Error('privacy-policy.html has no <main id="privacy-content">');
+    }
+    return page.replace(pattern, () => `<main id="privacy-content" data-language="${lang}">${policyHtml}</main>`);
+  }
+
+  load(lang) {
+    if (!this.documents[lang]) {
+      this.documents[lang] = fetch(window.i18n.assetUrl(`data/privacy/${lang}.json`))
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .catch(error => {
+          delete this.documents[lang];
+          throw error;
+        });
+    }
+    return this.documents[lang];
+  }
+
+  /**
+   * Load the policy for a language, walking its fallback chain
+   *
+   * @param {string} lang - Language code
+   * @returns {Promise<Object|null>} Policy document, null if none loads
+   */
+  async loadFirstAvailable(lang) {
+    for (const code of window.i18n.getFallbackChain(lang)) {
+      try {
+        return await this.load(code);
+      } catch (error) {
+        console.warn(`Privacy policy for ${code} unavailable:`, error);
+      }
+    }
+    return null;
+  }
+
+  async show(lang) {
+    const container = document.getElementById('privacy-content');
+    if (!container || lang === this.renderedLanguage) {
+      return;
+    }
+
+    const policy = await this.loadFirstAvailable(lang);
+    // Ignore stale responses after a quick second switch
+    if (!policy || window.i18n.currentLanguage !== lang) {
+      return;
+    }
+
+    container.innerHTML = PrivacyPolicy.render(policy);
+    container.setAttribute('data-language', lang);
+    this.renderedLanguage = lang;
+  }
+
+  init() {
+    // The page already contains the policy: English in the source page,
+    // the page's language in the prerendered ones. Without JavaScript, or if
+    // data/ fails to load, that text stays.
+    const container = document.getElementById('privacy-content');
+    if (container && container.children.length > 0) {
+      this.renderedLanguage = container.getAttribute('data-language');
+    }
+
+    window.addEventListener('languageChanged', (e) => {
+      this.show(e.detail.language);
+    });
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  // Node (prerender build): export the class for PrivacyPolicy.render()
+  module.exports = PrivacyPolicy;
+} else {
+  window.privacyPolicy = new PrivacyPolicy();
+  window.privacyPolicy.init();
+}
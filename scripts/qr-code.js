@@ -0,0 +1,371 @@
+// qr-code.js — Minimal QR code encoder for the desktop download CTA
+//
+// Encodes text (UTF-8, byte mode) at error correction level M in the
+// smallest of versions 1–10 that fits, which is up to 213 bytes — plenty for
+// an App Store link with campaign tokens. Follows ISO/IEC 18004: Reed–Solomon
+// error correction over GF(256), block interleaving, and the mask with the
+// lowest penalty score. Runs in the page; nothing is sent to a QR service.
+
+// Per version 1–10 at level M: error correction codewords per block, and blocks
+const QR_ECC_PER_BLOCK = [10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+const QR_BLOCKS = [1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+const QR_MAX_VERSION = QR_ECC_PER_BLOCK.length;
+// Level M in the format information
+const QR_FORMAT_LEVEL_M = 0;
+
+class QrCode {
+  /**
+   * Encode text as a QR code
+   *
+   * @param {string} text - Text to encode, e.g. a URL
+   * @returns {QrCode} Code
+   * @throws {RangeError} If the text needs more than version 10
+   */
+  static encode(text) {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    let version = 1;
+    while (QrCode._dataCapacity(version) * 8 < 4 + (version < 10 ? 8 : 16) + bytes.length * 8) {
+      if (++version > QR_MAX_VERSION) {
+        throw new RangeError(`Text too long for a QR code: ${bytes.length} bytes`);
+      }
+    }
+
+    return new QrCode(version, QrCode._encodeData(bytes, version));
+  }
+
+  /**
+   * @param {number} version - Version (1–10); the code is 17 + 4 × version modules wide
+   * @param {number[]} data - Data codewords, padded to the version's capacity
+   */
+  constructor(version, data) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    // modules[y][x] is true for a dark module
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this._function = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this._drawFunctionPatterns();
+    this._drawCodewords(this._addErrorCorrection(data));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this._applyMask(mask);
+      this._drawFormatBits(mask);
+      const penalty = this._penalty();
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      // XOR again to undo
+      this._applyMask(mask);
+    }
+    this.mask = bestMask;
+    this._applyMask(bestMask);
+    this._drawFormatBits(bestMask);
+  }
+
+  /**
+   * SVG path data drawing every dark module as a 1×1 square
+   *
+   * @param {number} [border=4] - Quiet zone around the code, in modules
+   * @returns {string} Path data for a viewBox of (size + 2 × border) squared
+   */
+  toSvgPath(border = 4) {
+    const parts = [];
+    this.modules.forEach((row, y) => row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + border} ${y + border}h1v1h-1z`);
+    }));
+    return parts.join('');
+  }
+
+  // Data codewords that fit next to the error correction
+  static _dataCapacity(version) {
+    return Math.floor(QrCode._rawModules(version) / 8) - QR_ECC_PER_BLOCK[version - 1] * QR_BLOCKS[version - 1];
+  }
+
+  // Modules left for data and error correction once the patterns are drawn
+  static _rawModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const align = Math.floor(version / 7) + 2;
+      result -= (25 * align - 10) * align - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  static _alignmentPositions(version) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const last = version * 4 + 10;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let pos = last; positions.length < count; pos -= step) {
+      positions.splice(1, 0, pos);
+    }
+    return positions;
+  }
+
+  // Byte mode segment, terminator and padding
+  static _encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0b0100, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+
+    const capacity = QrCode._dataCapacity(version) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; data.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+      data.push(pad);
+    }
+    return data;
+  }
+
+  // Split the data into blocks, add each block's error correction and
+  // interleave them
+  _addErrorCorrection(data) {
+    const blockCount = QR_BLOCKS[this.version - 1];
+    const eccLength = QR_ECC_PER_BLOCK[this.version - 1];
+    const rawCodewords = Math.floor(QrCode._rawModules(this.version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QrCode._rsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      const block = data.slice(k, k + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+      k += block.length;
+      const ecc = QrCode._rsRemainder(block, divisor);
+      // Short blocks get a placeholder so the columns line up
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  static _rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = QrCode._gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = QrCode._gfMultiply(root, 0x02);
+    }
+    return result;
+  }
+
+  static _rsRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QrCode._gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  }
+
+  // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  static _gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  _setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this._function[y][x] = true;
+  }
+
+  _drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this._setFunction(6, i, i % 2 === 0);
+      this._setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            this._setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = QrCode._alignmentPositions(this.version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+      // The corners with finder patterns have none
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this._setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas; _drawFormatBits fills them in
+    this._drawFormatBits(0);
+
+    if (this.version >= 7) {
+      let remainder = this.version;
+      for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+      const bits = (this.version << 12) | remainder;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        this._setFunction(a, b, dark);
+        this._setFunction(b, a, dark);
+      }
+    }
+  }
+
+  _drawFormatBits(mask) {
+    const size = this.size;
+    const data = (QR_FORMAT_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    // Around the top left finder
+    for (let i = 0; i <= 5; i++) this._setFunction(8, i, bit(i));
+    this._setFunction(8, 7, bit(6));
+    this._setFunction(8, 8, bit(7));
+    this._setFunction(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this._setFunction(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this._setFunction(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this._setFunction(8, size - 15 + i, bit(i));
+    this._setFunction(8, size - 8, true);
+  }
+
+  // Codeword bits go in two-module columns, zigzagging up and down from the
+  // bottom right, around the function patterns
+  _drawCodewords(codewords) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // Skip the vertical timing pattern
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+          if (!this._function[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  _applyMask(mask) {
+    const conditions = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = conditions[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this._function[y][x] && invert(x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty rules of the standard: runs of five or more, 2×2 blocks,
+  // finder-like patterns and an unbalanced share of dark modules
+  _penalty() {
+    const size = this.size;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(this.modules[i]);
+      lines.push(this.modules.map(row => row[i]));
+    }
+
+    let penalty = 0;
+    const finderLike = /10111010000|00001011101/g;
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+      // Light modules beyond the edge count as part of the pattern
+      const text = '0000' + line.map(dark => (dark ? '1' : '0')).join('') + '0000';
+      for (let match = finderLike.exec(text); match; match = finderLike.exec(text)) {
+        penalty += 40;
+        finderLike.lastIndex = match.index + 1;
+      }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (this.modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = this.modules[y][x];
+          if (color === this.modules[y][x + 1] && color === this.modules[y + 1][x] && color === this.modules[y + 1][x + 1]) {
+            penalty += 3;
+          }
+        }
+      }
+    }
+    penalty += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+
+    return penalty;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QrCode;
+} else {
+  window.QrCode = QrCode;
+}
@@ -0,0 +1,250 @@
+// review-carousel.js — Auto-scrolling review rows that stay accessible
+//
+// Each row holds its review cards followed by inert, aria-hidden clones so
+// the marquee can loop seamlessly. Scrolling pauses on hover, on keyboard
+// focus and with the pause button; arrow keys move between cards. With
+// reduced motion (scripts/motion.js) the rows become a static, wrapping grid.
+
+class ReviewCarousel {
+  /**
+   * @param {HTMLElement} container - Carousel region (.reviews-container)
+   * @param {Object} [options]
+   * @param {number} [options.loopSeconds=60] - Time for one full loop of a row
+   */
+  constructor(container, { loopSeconds = 60 } = {}) {
+    this.container = container;
+    this.rows = Array.from(container.querySelectorAll('.reviews-row'));
+    this.loopSeconds = loopSeconds;
+
+    // Offset of each row as a fraction of its width; the cards repeat at 0.5
+    this.offsets = this.rows.map(() => 0);
+    this.cards = this.rows.map(() => []);
+
+    this.userPaused = false;
+    this.hovered = false;
+    this.focused = false;
+    this.reducedMotion = false;
+
+    this.pauseButton = document.getElementById('reviews-pause');
+    this.liveRegion = document.getElementById('reviews-live');
+
+    this._rafId = null;
+    this._lastTime = null;
+    this._tick = this._tick.bind(this);
+  }
+
+  init() {
+    this.reducedMotion = Boolean(window.motion && window.motion.reduced);
+    window.addEventListener('motionChanged', (e) => {
+      this.reducedMotion = e.detail.reduced;
+      this.setRows(this.cards);
+    });
+
+    this.container.addEventListener('mouseenter', () => { this.hovered = true; this._update(); });
+    this.container.addEventListener('mouseleave', () => { this.hovered = false; this._update(); });
+
+    this.container.addEventListener('focusin', (e) => {
+      this.focused = true;
+      this._update();
+      this._reveal(e.target.closest('.review-card'));
+    });
+    this.container.addEventListener('focusout', (e) => {
+      if (!this.container.contains(e.relatedTarget)) {
+        this.focused = false;
+        this._update();
+      }
+    });
+
+    this.container.addEventListener('keydown', (e) => this._onKeyDown(e));
+
+    if (this.pauseButton) {
+      this.pauseButton.addEventListener('click', () => {
+        this.userPaused = !this.userPaused;
+        this._update();
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => this._update());
+  }
+
+  /**
+   * Replace the cards of every row
+   *
+   * @param {HTMLElement[][]} cardsPerRow - Review cards for each row
+   */
+  setRows(cardsPerRow) {
+    this.cards = this.rows.map((row, i) => cardsPerRow[i] || []);
+    const animated = !this.reducedMotion;
+
+    this.container.classList.toggle('reviews-container--static', !animated);
+    if (this.pauseButton) {
+      this.pauseButton.hidden = !animated;
+    }
+
+    this.rows.forEach((row, i) => {
+      row.innerHTML = '';
+      this.cards[i].forEach(card => {
+        card.tabIndex = -1;
+        row.appendChild(card);
+      });
+
+      // Clones fill the gap while the row wraps around; keep them away
+      // from screen readers and the tab order
+      if (animated) {
+        this.cards[i].forEach(card => {
+          const clone = card.cloneNode(true);
+          clone.setAttribute('aria-hidden', 'true');
+          clone.setAttribute('inert', '');
+          clone.classList.add('review-card--clone');
+          row.appendChild(clone);
+        });
+      }
+
+      this.offsets[i] = 0;
+      this._applyOffset(i);
+    });
+
+    // One card is reachable with Tab; arrow keys move from there
+    const first = this.cards.find(cards => cards.length > 0);
+    if (first) {
+      first[0].tabIndex = 0;
+    }
+
+    this._update();
+  }
+
+  get playing() {
+    return !this.reducedMotion && !this.userPaused && !this.hovered && !this.focused && !document.hidden;
+  }
+
+  _update() {
+    if (this.pauseButton) {
+      this.pauseButton.setAttribute('data-i18n', this.userPaused
+        ? 'sections.reviews.carousel.play'
+        : 'sections.reviews.carousel.pause');
+      if (window.i18n) {
+        window.i18n.translateElement(this.pauseButton);
+      }
+    }
+
+    if (this.playing && this._rafId === null) {
+      // Focus may have moved a row past the loop point; the cards repeat
+      // every half row, so wrapping back is invisible
+      this.offsets = this.offsets.map(offset => ((offset % 0.5) + 0.5) % 0.5);
+      this._lastTime = null;
+      this._rafId = requestAnimationFrame(this._tick);
+    } else if (!this.playing && this._rafId !== null) {
+      cancelAnimationFrame(this._rafId);
+      this._rafId = null;
+    }
+  }
+
+  _tick(time) {
+    if (this._lastTime !== null) {
+      const step = ((time - this._lastTime) / 1000) * (0.5 / this.loopSeconds);
+      this.rows.forEach((row, i) => {
+        const direction = row.classList.contains('reviews-row--reverse') ? -1 : 1;
+        this.offsets[i] = (((this.offsets[i] + direction * step) % 0.5) + 0.5) % 0.5;
+        this._applyOffset(i);
+      });
+    }
+    this._lastTime = time;
+    this._rafId = requestAnimationFrame(this._tick);
+  }
+
+  _applyOffset(i) {
+    if (this.reducedMotion) {
+      this.rows[i].style.transform = '';
+      return;
+    }
+    // Rows start at the inline-start edge, so RTL rows move the other way
+    const sign = document.documentElement.dir === 'rtl' ? 1 : -1;
+    this.rows[i].style.transform = `translateX(${sign * this.offsets[i] * 100}%)`;
+  }
+
+  /**
+   * Shift a card's row so the card is fully in view
+   *
+   * @param {HTMLElement|null} card - Focused card
+   */
+  _reveal(card) {
+    if (!card || this.reducedMotion) {
+      return;
+    }
+    const i = this.rows.indexOf(card.parentElement);
+    const rowRect = i === -1 ? null : this.rows[i].getBoundingClientRect();
+    if (!rowRect || rowRect.width === 0) {
+      return;
+    }
+
+    const cardRect = card.getBoundingClientRect();
+    const containerRect = this.container.getBoundingClientRect();
+    const delta = (cardRect.left + cardRect.width / 2) - (containerRect.left + containerRect.width / 2);
+    const sign = document.documentElement.dir === 'rtl' ? -1 : 1;
+    const maxOffset = Math.max(0, 1 - containerRect.width / rowRect.width);
+
+    this.offsets[i] = Math.min(maxOffset, Math.max(0, this.offsets[i] + sign * delta / rowRect.width));
+    this._applyOffset(i);
+  }
+
+  _onKeyDown(e) {
+    const card = e.target.closest('.review-card');
+    if (!card) {
+      return;
+    }
+    const rowIndex = this.cards.findIndex(cards => cards.includes(card));
+    if (rowIndex === -1) {
+      return;
+    }
+
+    const cards = this.cards[rowIndex];
+    const index = cards.indexOf(card);
+    const rtl = document.documentElement.dir === 'rtl';
+    let target = null;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        target = cards[(index + (rtl ? -1 : 1) + cards.length) % cards.length];
+        break;
+      case 'ArrowLeft':
+        target = cards[(index + (rtl ? 1 : -1) + cards.length) % cards.length];
+        break;
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        const other = this.cards[(rowIndex + (e.key === 'ArrowDown' ? 1 : -1) + this.cards.length) % this.cards.length];
+        target = other[Math.min(index, other.length - 1)] || null;
+        break;
+      }
+      case 'Home':
+        target = cards[0];
+        break;
+      case 'End':
+        target = cards[cards.length - 1];
+        break;
+      default:
+        return;
+    }
+
+    if (!target || target === card) {
+      return;
+    }
+    e.preventDefault();
+    card.tabIndex = -1;
+    target.tabIndex = 0;
+    target.focus();
+    this._announce(target);
+  }
+
+  _announce(card) {
+    if (!this.liveRegion || !window.i18n) {
+      return;
+    }
+    const all = this.cards.flat();
+    this.liveRegion.textContent = window.i18n.t('sections.reviews.carousel.position', {
+      index: all.indexOf(card) + 1,
+      total: all.length
+    });
+  }
+}
+
+window.ReviewCarousel = ReviewCarousel;
@@ -1,75 +1,120 @@
 // scroll-tracker.js — Tracks which section is in focus and computes blend factors
+//
+// Section positions are measured once per animation frame while the page
+// scrolls or resizes, and the results are sent as events:
+//
+//   sectionenter / sectionleave  { index, section } — a section comes into or leaves the viewport
+//   focuschange                  { index, previousIndex } — a different section covers most of the viewport
+//   progress                     { progress, focusedIndex, blendFactor, blendDirection } — after every measurement
+//
+// progress[i] runs from 0, as section i's top enters at the bottom of the
+// viewport, to 1, as its bottom leaves at the top.
 
-class ScrollTracker {
+class ScrollTracker extends EventTarget {
   constructor() {
+    super();
     this.sections = [];
     this.focusedIndex = 0;
+    // Share of the next section's background mixed in (0 to 0.5); the focused
+    // section covers most of the viewport, so this reaches 0.5 at the switch
     this.blendFactor = 0;
     this.blendDirection = 1;
-    this.onFocusChange = null;
-    this._ratios = [];
+    this.progress = [];
+    this._visible = [];
+    this._atEnd = false;
+    this._frame = null;
   }
 
   init() {
     this.sections = Array.from(document.querySelectorAll('.section'));
-    this._ratios = new Array(this.sections.length).fill(0);
+    this.progress = new Array(this.sections.length).fill(0);
+    this._visible = new Array(this.sections.length).fill(false);
 
-    const thresholds = [];
-    for (let i = 0; i <= 20; i++) thresholds.push(i / 20);
-
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        const idx = this.sections.indexOf(entry.target);
-        if (idx !== -1) {
-          this._ratios[idx] = entry.intersectionRatio;
-        }
-      });
-      this._updateFocus();
-    }, { threshold: thresholds });
-
-    this.sections.forEach(s => observer.observe(s));
+    const schedule = () => this._schedule();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+    // Sections change height when reviews load or the language changes
+    if (typeof ResizeObserver !== 'undefined') {
+      const observer = new ResizeObserver(schedule);
+      this.sections.forEach(s => observer.observe(s));
+    }
 
     this.sections.forEach((section, i) => {
       const indicator = section.querySelector('.scroll-indicator');
       if (indicator && i < this.sections.length - 1) {
         indicator.addEventListener('click', () => {
-          this.sections[i + 1].scrollIntoView({ behavior: 'smooth' });
+          const reduced = window.motion && window.motion.reduced;
+          this.sections[i + 1].scrollIntoView({ behavior: reduced ? 'auto' : 'smooth' });
         });
       }
     });
 
-    window.addEventListener('scroll', () => {
-      const atBottom = (window.innerHeight + window.scrollY) >= (document.body.scrollHeight - 100);
-      document.querySelectorAll('.scroll-indicator').forEach(ind => {
-        ind.style.opacity = atBottom ? '0' : '1';
-        ind.style.transition = 'opacity 0.3s ease';
+    this._measure();
+  }
+
+  _schedule() {
+    if (this._frame === null) {
+      this._frame = requestAnimationFrame(() => {
+        this._frame = null;
+        this._measure();
       });
-    });
+    }
   }
 
-  _updateFocus() {
-    let maxRatio = 0;
+  _measure() {
+    const viewport = window.innerHeight;
+    const coverage = this.sections.map((section, i) => {
+      const rect = section.getBoundingClientRect();
+      this.progress[i] = Math.max(0, Math.min(1, (viewport - rect.top) / (rect.height + viewport)));
+      return Math.max(0, Math.min(rect.bottom, viewport) - Math.max(rect.top, 0)) / viewport;
+    });
+
+    coverage.forEach((share, i) => {
+      const visible = share > 0;
+      if (visible !== this._visible[i]) {
+        this._visible[i] = visible;
+        this._emit(visible ? 'sectionenter' : 'sectionleave', { index: i, section: this.sections[i] });
+      }
+    });
+
     let maxIdx = this.focusedIndex;
-    for (let i = 0; i < this._ratios.length; i++) {
-      if (this._ratios[i] > maxRatio) {
-        maxRatio = this._ratios[i];
+    for (let i = 0; i < coverage.length; i++) {
+      if (coverage[i] > coverage[maxIdx]) {
         maxIdx = i;
       }
     }
 
-    const oldIndex = this.focusedIndex;
-    this.focusedIndex = maxIdx;
+    const prevCoverage = maxIdx > 0 ? coverage[maxIdx - 1] : 0;
+    const nextCoverage = maxIdx < coverage.length - 1 ? coverage[maxIdx + 1] : 0;
+    this.blendDirection = nextCoverage >= prevCoverage ? 1 : -1;
+    this.blendFactor = Math.max(prevCoverage, nextCoverage);
 
-    this.blendFactor = 1.0 - Math.min(maxRatio / 0.6, 1.0);
+    const previousIndex = this.focusedIndex;
+    this.focusedIndex = maxIdx;
+    if (previousIndex !== maxIdx) {
+      this._emit('focuschange', { index: maxIdx, previousIndex });
+    }
 
-    const prevRatio = maxIdx > 0 ? this._ratios[maxIdx - 1] : 0;
-    const nextRatio = maxIdx < this._ratios.length - 1 ? this._ratios[maxIdx + 1] : 0;
-    this.blendDirection = nextRatio >= prevRatio ? 1 : -1;
+    this._emit('progress', {
+      progress: this.progress.slice(),
+      focusedIndex: this.focusedIndex,
+      blendFactor: this.blendFactor,
+      blendDirection: this.blendDirection
+    });
 
-    if (oldIndex !== this.focusedIndex && this.onFocusChange) {
-      this.onFocusChange(this.focusedIndex, oldIndex);
+    // The indicators fade out (see main.css) near the end of the page
+    const atEnd = (viewport + window.scrollY) >= (document.body.scrollHeight - 100);
+    if (atEnd !== this._atEnd) {
+      this._atEnd = atEnd;
+      document.querySelectorAll('.scroll-indicator').forEach(ind => {
+        ind.classList.toggle('scroll-indicator--hidden', atEnd);
+      });
     }
   }
+
+  _emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
 }
 
 window.scrollTracker = new ScrollTracker();
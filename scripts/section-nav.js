@@ -0,0 +1,146 @@
+// section-nav.js — Section links, URL hash and keyboard jumps between sections
+//
+// Every .section has a stable id (#core, #pro, #reviews, ...). The section in
+// focus (ScrollTracker.focusedIndex) is kept in the URL hash with
+// replaceState, so sharing or reloading the page returns to it without each
+// section adding a history entry. A dot per section is generated into
+// #section-nav, named after the section's heading, with aria-current on the
+// one in focus. PageUp/PageDown, the up and down arrows, Home and End jump
+// between sections.
+
+class SectionNav {
+  /**
+   * @param {HTMLElement} root - Dot navigation container (#section-nav)
+   * @param {ScrollTracker} tracker - Initialized scroll tracker
+   */
+  constructor(root, tracker) {
+    this.root = root;
+    this.tracker = tracker;
+    this.sections = tracker.sections;
+    this.dots = [];
+    this.current = -1;
+  }
+
+  init() {
+    if (this.sections.length === 0) return;
+
+    this.dots = this.sections.map(section => this._buildDot(section));
+    this.root.querySelector('.section-nav__list').append(...this.dots.map(dot => dot.parentElement));
+    this.root.hidden = false;
+
+    this.root.addEventListener('click', (e) => {
+      const dot = e.target.closest('.section-nav__dot');
+      if (!dot) return;
+      // Scroll without the history entry a plain #link would add
+      e.preventDefault();
+      this.goTo(this.dots.indexOf(dot));
+    });
+
+    document.addEventListener('keydown', (e) => this._onKeyDown(e));
+    window.addEventListener('languageChanged', () => this._labelDots());
+
+    // Browsers restore #id on load before the page has settled; go there
+    // again once it has
+    const restored = this.sections.findIndex(section => `#${section.id}` === window.location.hash);
+    if (restored > 0) {
+      this.sections[restored].scrollIntoView({ behavior: 'auto' });
+    }
+
+    this._setCurrent(restored > 0 ? restored : this.tracker.focusedIndex, { updateUrl: false });
+    this.tracker.addEventListener('focuschange', (e) => this._setCurrent(e.detail.index));
+  }
+
+  /**
+   * Scroll to a section
+   *
+   * @param {number} index - Section index, clamped to the first and last
+   */
+  goTo(index) {
+    const section = this.sections[Math.max(0, Math.min(index, this.sections.length - 1))];
+    const reduced = window.motion && window.motion.reduced;
+    section.scrollIntoView({ behavior: reduced ? 'auto' : 'smooth' });
+  }
+
+  _buildDot(section) {
+    const item = document.createElement('li');
+    const dot = document.createElement('a');
+    dot.className = 'section-nav__dot';
+    dot.href = `#${section.id}`;
+
+    const label = document.createElement('span');
+    label.className = 'visually-hidden';
+    dot.appendChild(label);
+    item.appendChild(dot);
+
+    this._labelDot(dot, section);
+    return dot;
+  }
+
+  _labelDots() {
+    this.dots.forEach((dot, i) => this._labelDot(dot, this.sections[i]));
+  }
+
+  // Named after the section's heading, which is translated with the page
+  _labelDot(dot, section) {
+    const heading = section.querySelector('h1, h2');
+    dot.firstChild.textContent = heading ? heading.textContent.trim() : section.id;
+  }
+
+  _setCurrent(index, { updateUrl = true } = {}) {
+    if (index === this.current) return;
+    this.current = index;
+
+    this.dots.forEach((dot, i) => {
+      if (i === index) {
+        dot.setAttribute('aria-current', 'true');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+
+    if (updateUrl && window.history && window.history.replaceState) {
+      // The first section is the top of the page and needs no hash
+      const url = new URL(window.location.href);
+      url.hash = index > 0 ? this.sections[index].id : '';
+      window.history.replaceState(window.history.state, '', url.href);
+    }
+  }
+
+  _onKeyDown(e) {
+    // Keys already used by the carousel, the theme picker or a form control
+    if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable]')) return;
+
+    const index = this.tracker.focusedIndex;
+    let target;
+    switch (e.key) {
+      case 'PageDown':
+      case 'ArrowDown':
+        target = index + 1;
+        break;
+      case 'PageUp':
+      case 'ArrowUp':
+        target = index - 1;
+        break;
+      case 'Home':
+        target = 0;
+        break;
+      case 'End':
+        target = this.sections.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    // Within a section taller than the screen, scroll through it first
+    const rect = this.sections[index].getBoundingClientRect();
+    if ((target === index + 1 && rect.bottom > window.innerHeight + 1) || (target === index - 1 && rect.top < -1)) {
+      return;
+    }
+
+    e.preventDefault();
+    this.goTo(target);
+  }
+}
+
+window.SectionNav = SectionNav;
@@ -0,0 +1,117 @@
+// structured-data.js — Builds the schema.org JSON-LD for the home page
+//
+// Combines the static MobileApplication fields written in index.html, the
+// App Store aggregate rating (data/app-store-rating.json, or whatever the
+// JSON-LD script's data-rating-source points at) and the reviews with their
+// text in one language. Used by main.js on every language switch and by
+// tools/prerender.js for the static pages.
+
+class StructuredData {
+  /**
+   * Read the static part of an existing JSON-LD block, dropping the fields
+   * this class generates
+   *
+   * @param {string} json - Contents of the <script type="application/ld+json">
+   * @returns {Object} Base MobileApplication object
+   */
+  static parse(json) {
+    const base = JSON.parse(json);
+    delete base.aggregateRating;
+    delete base.review;
+    delete base.inLanguage;
+    return base;
+  }
+
+  /**
+   * Build the aggregate rating, preferring the App Store figures and
+   * falling back to the reviews shown on the page
+   *
+   * @param {Object|null} rating - Parsed rating source file
+   * @param {Object[]} reviews - Review metadata
+   * @returns {Object|null} AggregateRating, or null when there is nothing to rate
+   */
+  static aggregateRating(rating, reviews) {
+    if (rating && rating.ratingValue) {
+      const aggregate = {
+        '@type': 'AggregateRating',
+        ratingValue: rating.ratingValue,
+        bestRating: rating.bestRating || 5,
+        worstRating: rating.worstRating || 1
+      };
+      if (rating.ratingCount) aggregate.ratingCount = rating.ratingCount;
+      if (rating.reviewCount) aggregate.reviewCount = rating.reviewCount;
+      return aggregate;
+    }
+
+    if (reviews.length === 0) {
+      return null;
+    }
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return {
+      '@type': 'AggregateRating',
+      ratingValue: Math.round((total / reviews.length) * 10) / 10,
+      reviewCount: reviews.length,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+
+  /**
+   * Build the JSON-LD object for one language
+   *
+   * @param {Object} base - Static fields (see StructuredData.parse)
+   * @param {Object} options
+   * @param {Object|null} options.rating - Parsed rating source file
+   * @param {Array<{review: Object, text: Object, textLanguage: string}>} options.reviews -
+   *   Reviews with their text in (or falling back from) the language
+   * @param {string} options.lang - Language code
+   * @param {I18n} options.i18n - I18n instance with the language loaded
+   * @returns {Object} JSON-LD object
+   */
+  static build(base, { rating, reviews, lang, i18n }) {
+    const data = Object.assign({}, base, { inLanguage: lang });
+
+    const description = i18n.t('meta.description', {}, lang);
+    if (description !== 'meta.description') {
+      data.description = description;
+    }
+
+    const aggregate = StructuredData.aggregateRating(rating, reviews.map(entry => entry.review));
+    if (aggregate) {
+      data.aggregateRating = aggregate;
+    }
+
+    if (reviews.length > 0) {
+      data.review = reviews.map(({ review, text, textLanguage }) => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.author },
+        datePublished: review.date,
+        name: text.title,
+        reviewBody: text.text,
+        inLanguage: textLanguage,
+        reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+      }));
+    }
+
+    return data;
+  }
+
+  /**
+   * Serialize for a <script> element, indented to sit inside <head>
+   *
+   * @param {Object} data - JSON-LD object
+   * @returns {string} Script contents
+   */
+  static serialize(data) {
+    // "</" would end the script element early
+    const json = JSON.stringify(data, null, 2).replace(/<\//g, '<\\/');
+    return `\n  ${json.replace(/\n/g, '\n  ')}\n  `;
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  // Node (prerender build): export the class
+  module.exports = StructuredData;
+} else {
+  window.StructuredData = StructuredData;
+}
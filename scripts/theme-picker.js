@@ -0,0 +1,201 @@
+// theme-picker.js — Preview the app's background themes on the page
+//
+// A radio group of the registered themes in the "And So Much More" section.
+// Choosing one shows it on the full-page canvas instead of the scroll-driven
+// theme until it is dismissed (reset button or Escape). Arrow keys and
+// horizontal swipes step through the themes, and the choice is kept in the
+// URL as ?theme=<name> so it can be shared.
+
+class ThemePicker {
+  /**
+   * @param {HTMLElement} root - Picker container (#theme-picker)
+   * @param {BackgroundRenderer} renderer - Renderer with the themes loaded
+   */
+  constructor(root, renderer) {
+    this.root = root;
+    this.renderer = renderer;
+    this.list = root.querySelector('.theme-picker__options');
+    this.resetButton = root.querySelector('.theme-picker__reset');
+    this.themes = [];
+    this.selected = null;
+    this._swipeStart = null;
+    this._swipedAt = -Infinity;
+  }
+
+  init() {
+    this.themes = this.renderer.getThemes();
+    if (this.themes.length === 0) return;
+
+    this.themes.forEach(theme => this.list.appendChild(this._buildOption(theme)));
+    this.root.hidden = false;
+
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('.theme-picker__option');
+      // The click that can follow a swipe is not a choice
+      if (option && e.timeStamp - this._swipedAt > 500) this.select(option.dataset.theme);
+    });
+    this.list.addEventListener('keydown', (e) => this._onKeyDown(e));
+    this.list.addEventListener('pointerdown', (e) => this._onPointerDown(e));
+    this.list.addEventListener('pointerup', (e) => this._onPointerUp(e));
+    this.list.addEventListener('pointercancel', () => { this._swipeStart = null; });
+
+    this.resetButton.addEventListener('click', () => {
+      this.select(null);
+      this._option(this.themes[0].name).focus();
+    });
+
+    // Escape ends a preview from anywhere on the page, e.g. after opening a
+    // shared link, unless a form control is using the key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.selected && !(e.target.closest && e.target.closest('select, input, textarea'))) {
+        this.select(null);
+      }
+    });
+
+    window.addEventListener('languageChanged', () => this._translateOptions());
+
+    const shared = new URL(window.location.href).searchParams.get('theme');
+    this.select(this.themes.some(theme => theme.name === shared) ? shared : null, { updateUrl: shared !== null });
+  }
+
+  /**
+   * Preview a theme, or go back to the sections' themes
+   *
+   * @param {string|null} name - Theme name, or null
+   * @param {Object} [options]
+   * @param {boolean} [options.updateUrl=true] - Reflect the choice in ?theme=
+   */
+  select(name, { updateUrl = true } = {}) {
+    this.selected = name;
+    this.renderer.setThemeOverride(name);
+
+    // Roving tabindex: the selected option, or the first one, takes Tab
+    const tabbable = name || this.themes[0].name;
+    this.list.querySelectorAll('.theme-picker__option').forEach(option => {
+      option.setAttribute('aria-checked', String(option.dataset.theme === name));
+      option.tabIndex = option.dataset.theme === tabbable ? 0 : -1;
+    });
+    this.resetButton.hidden = !name;
+
+    if (updateUrl && window.history && window.history.replaceState) {
+      const url = new URL(window.location.href);
+      if (name) {
+        url.searchParams.set('theme', name);
+      } else {
+        url.searchParams.delete('theme');
+      }
+      window.history.replaceState(window.history.state, '', url.href);
+    }
+  }
+
+  /**
+   * Name of the next or previous theme, wrapping around
+   *
+   * Without a preview, counts from the theme currently on screen.
+   *
+   * @param {number} step - 1 or -1
+   * @returns {string} Theme name
+   */
+  neighbor(step) {
+    const current = this.selected
+      || (window.scrollTracker && this.renderer.sectionThemes[window.scrollTracker.focusedIndex]);
+    const index = this.themes.findIndex(theme => theme.name === current);
+    const next = index === -1
+      ? (step > 0 ? 0 : this.themes.length - 1)
+      : (index + step + this.themes.length) % this.themes.length;
+    return this.themes[next].name;
+  }
+
+  _buildOption({ name, gradient, angle }) {
+    const option = document.createElement('button');
+    option.type = 'button';
+    option.className = 'theme-picker__option';
+    option.setAttribute('role', 'radio');
+    option.setAttribute('aria-checked', 'false');
+    option.dataset.theme = name;
+
+    const swatch = document.createElement('span');
+    swatch.className = 'theme-picker__swatch';
+    swatch.setAttribute('aria-hidden', 'true');
+    swatch.style.background = `linear-gradient(${angle}deg, ${gradient.map(c => `rgb(${c.r},${c.g},${c.b})`).join(', ')})`;
+
+    const label = document.createElement('span');
+    label.className = 'theme-picker__name';
+    label.dataset.key = `sections.more.picker.themes.${name}`;
+
+    option.append(swatch, label);
+    this._translateOption(option);
+    return option;
+  }
+
+  _translateOptions() {
+    this.list.querySelectorAll('.theme-picker__option').forEach(option => this._translateOption(option));
+  }
+
+  // Themes registered without a translation show their name
+  _translateOption(option) {
+    const label = option.querySelector('.theme-picker__name');
+    const key = label.dataset.key;
+    const translation = window.i18n ? window.i18n.t(key) : key;
+    label.textContent = translation === key ? option.dataset.theme : translation;
+  }
+
+  _option(name) {
+    return Array.from(this.list.querySelectorAll('.theme-picker__option'))
+      .find(option => option.dataset.theme === name);
+  }
+
+  _onKeyDown(e) {
+    const rtl = document.documentElement.dir === 'rtl';
+    let name = null;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        name = this.neighbor(rtl ? -1 : 1);
+        break;
+      case 'ArrowLeft':
+        name = this.neighbor(rtl ? 1 : -1);
+        break;
+      case 'ArrowDown':
+        name = this.neighbor(1);
+        break;
+      case 'ArrowUp':
+        name = this.neighbor(-1);
+        break;
+      case 'Home':
+        name = this.themes[0].name;
+        break;
+      case 'End':
+        name = this.themes[this.themes.length - 1].name;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.select(name);
+    this._option(name).focus();
+  }
+
+  _onPointerDown(e) {
+    if (e.pointerType === 'mouse') return;
+    this._swipeStart = { x: e.clientX, y: e.clientY };
+  }
+
+  _onPointerUp(e) {
+    if (!this._swipeStart) return;
+    const dx = e.clientX - this._swipeStart.x;
+    const dy = e.clientY - this._swipeStart.y;
+    this._swipeStart = null;
+
+    // Mostly horizontal and long enough to not be a tap
+    if (Math.abs(dx) < 40 || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+
+    // Swiping left brings in the next theme (the previous one in RTL)
+    const forward = dx < 0 !== (document.documentElement.dir === 'rtl');
+    this.select(this.neighbor(forward ? 1 : -1));
+    this._swipedAt = e.timeStamp;
+  }
+}
+
+window.ThemePicker = ThemePicker;
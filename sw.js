@@ -0,0 +1,183 @@
+// sw.js — Service worker: offline support and caching for the site
+//
+// - The shell (pages, stylesheet, scripts) is precached on install
+// - Page navigations go to the network first and fall back to the cache
+// - Data JSON (translations, reviews, policy text) is stale-while-revalidate
+// - Screenshots and badges are cached on first use; pages also ask for a
+//   language's screenshots ahead of time with a "cache-assets" message
+//
+// Caches are named after CACHE_VERSION, which tools/prerender.js replaces
+// with a hash of the build, so every deploy starts with fresh caches. Deploy
+// dist/ (see .github/workflows/pages.yml); the unstamped worker in the source
+// tree goes to the network first for everything it caches.
+
+const CACHE_VERSION = 'dev';
+const CACHE_PREFIX = 'coins-';
+
+const CACHES = {
+  shell: `${CACHE_PREFIX}shell-${CACHE_VERSION}`,
+  data: `${CACHE_PREFIX}data-${CACHE_VERSION}`,
+  assets: `${CACHE_PREFIX}assets-${CACHE_VERSION}`
+};
+
+const SHELL = [
+  './',
+  'index.html',
+  'privacy-policy.html',
+  'styles/main.css',
+  'scripts/motion.js',
+  'scripts/i18n.js',
+  'scripts/analytics.js',
+  'scripts/campaign.js',
+  'scripts/scroll-tracker.js',
+  'scripts/background.js',
+  'scripts/background-worker.js',
+  'scripts/structured-data.js',
+  'scripts/review-carousel.js',
+  'scripts/theme-picker.js',
+  'scripts/section-nav.js',
+  'scripts/qr-code.js',
+  'scripts/download-cta.js',
+  'scripts/main.js',
+  'scripts/privacy.js'
+];
+
+// Unstamped (source tree) workers check the network first so edits show up
+const STAMPED = CACHE_VERSION !== 'dev';
+
+const scopePath = new URL(self.registration.scope).pathname;
+const shellUrls = new Set(SHELL.map(path => new URL(path, self.registration.scope).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHES.shell)
+      .then(cache => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = new Set(Object.values(CACHES));
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith(CACHE_PREFIX) && !current.has(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  const path = url.pathname.slice(scopePath.length);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, CACHES.shell, { key: pageKey(url), fallback: './' }));
+  } else if (shellUrls.has(url.href)) {
+    event.respondWith(STAMPED ? cacheFirst(request, CACHES.shell) : networkFirst(request, CACHES.shell));
+  } else if (path.startsWith('data/') && path.endsWith('.json')) {
+    event.respondWith(staleWhileRevalidate(event, CACHES.data));
+  } else if (path.startsWith('assets/')) {
+    event.respondWith(STAMPED ? cacheFirst(request, CACHES.assets) : networkFirst(request, CACHES.assets));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+  if (message.type === 'cache-assets' && Array.isArray(message.urls)) {
+    event.waitUntil(cacheAssets(message.urls));
+  }
+});
+
+/**
+ * Store a copy of a successful response
+ *
+ * @param {string} cacheName - Cache to write to
+ * @param {Request|string} request - Cache key
+ * @param {Response} response - Network response
+ * @returns {Response} The response, still unread
+ */
+function store(cacheName, request, response) {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(cacheName).then(cache => cache.put(request, copy));
+  }
+  return response;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  return cached || store(cacheName, request, await fetch(request));
+}
+
+/**
+ * Cache key for a page: its URL without the query, so ?lang=, utm_* and ref
+ * variants share one entry instead of piling up in the cache
+ *
+ * @param {URL} url - Page URL
+ * @returns {string} Cache key
+ */
+function pageKey(url) {
+  const key = new URL(url.href);
+  key.search = '';
+  key.hash = '';
+  return key.href;
+}
+
+async function networkFirst(request, cacheName, { key = request, fallback } = {}) {
+  try {
+    return store(cacheName, key, await fetch(request));
+  } catch (error) {
+    const cached = await caches.match(key, { ignoreSearch: true })
+      || (fallback && await caches.match(new URL(fallback, self.registration.scope).href));
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const cached = await caches.match(event.request);
+  const update = fetch(event.request).then(response => store(cacheName, event.request, response));
+
+  if (cached) {
+    // Refresh in the background for the next visit
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Cache assets a page is about to show, such as the screenshots of a
+ * language the visitor just switched to
+ *
+ * @param {string[]} urls - Asset URLs
+ */
+async function cacheAssets(urls) {
+  const cache = await caches.open(CACHES.assets);
+  await Promise.all(urls
+    .filter(href => {
+      const url = new URL(href, self.registration.scope);
+      return url.origin === self.location.origin && url.pathname.startsWith(`${scopePath}assets/`);
+    })
+    .map(async href => {
+      if (await cache.match(href)) {
+        return;
+      }
+      try {
+        const response = await fetch(href);
+        if (response.ok) {
+          await cache.put(href, response);
+        }
+      } catch (error) {
+        // Offline; the image is cached when it is first shown
+      }
+    }));
+}
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// check-translations.js — Reports missing translations and localized assets
+//
+// For every supported language, checks:
+//   - UI strings against the English reference (missing, empty, extra,
+//     invalid ICU syntax)
+//   - data-i18n / data-i18n-content / data-i18n-aria-label keys used in
+//     the HTML pages
+//   - localized screenshots for every data-screenshot image
+//   - the localized App Store badge
+//   - review translations
+//   - the privacy policy text (data/privacy/<lang>.json), whose sections
+//     and blocks must line up with the English version, and the English
+//     copy written into privacy-policy.html
+//
+// Prints a per-locale report and exits with status 1 if anything is missing,
+// localized assets included. With --allow-fallback, a missing asset that the
+// language's fallback chain covers (see I18n#getFallbackChain) is only a
+// warning, for shipping a language before its screenshots or badge exist.
+//
+// Usage: node tools/check-translations.js [--allow-fallback]
+
+const I18n = require('../scripts/i18n.js');
+const PrivacyPolicy = require('../scripts/privacy.js');
+const { readJson, readText, exists, loadTranslations, loadReviews } = require('./lib/site-data.js');
+
+const REFERENCE_LANGUAGE = 'en';
+const HTML_PAGES = ['index.html', 'privacy-policy.html'];
+
+/**
+ * Flatten nested translations into dot-notation keys
+ *
+ * @param {Object} tree - Translations for one language
+ * @param {string} prefix - Key prefix for nested calls
+ * @returns {Map<string, *>} Flat key → value
+ */
+function flatten(tree, prefix = '') {
+  const result = new Map();
+  for (const [key, value] of Object.entries(tree || {})) {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object') {
+      flatten(value, fullKey).forEach((v, k) => result.set(k, v));
+    } else {
+      result.set(fullKey, value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Collect translation keys and screenshot files referenced by an HTML page
+ *
+ * @param {string} html - Page source
+ * @returns {{ keys: Set<string>, screenshots: Set<string> }}
+ */
+function scanHtml(html) {
+  const keys = new Set();
+  const screenshots = new Set();
+  for (const match of html.matchAll(/\sdata-i18n(?:-content|-aria-label)?="([^"]+)"/g)) {
+    keys.add(match[1]);
+  }
+  for (const match of html.matchAll(/\sdata-screenshot="([^"]+)"/g)) {
+    screenshots.add(match[1]);
+  }
+  return { keys, screenshots };
+}
+
+function checkStrings(i18n, lang, reference, problems) {
+  const strings = flatten(i18n.translations[lang]);
+
+  reference.forEach((value, key) => {
+    if (!strings.has(key)) {
+      problems.push(`missing string: ${key}`);
+    } else if (typeof strings.get(key) !== 'string' || !strings.get(key).trim()) {
+      problems.push(`empty string: ${key}`);
+    }
+  });
+
+  strings.forEach((value, key) => {
+    if (!reference.has(key)) {
+      problems.push(`extra string (not in ${REFERENCE_LANGUAGE}): ${key}`);
+    }
+    if (typeof value === 'string' && value.includes('{')) {
+      try {
+        i18n._parseMessage(value);
+      } catch (error) {
+        problems.push(`invalid message: ${key} (${error.message.split(' at position')[0]})`);
+      }
+    }
+  });
+}
+
+function checkPageKeys(i18n, lang, pages, problems) {
+  for (const [page, { keys }] of pages) {
+    keys.forEach(key => {
+      if (i18n.lookup(key, lang) === undefined) {
+        problems.push(`${page} uses missing key: ${key}`);
+      }
+    });
+  }
+}
+
+/**
+ * Check one localized asset, noting which fallback covers it if missing
+ */
+function checkAsset(i18n, lang, kind, pathForLanguage, problems, warnings) {
+  const assetPath = pathForLanguage(lang);
+  if (exists(assetPath)) {
+    return;
+  }
+
+  const fallback = i18n.getFallbackChain(lang).find(code => code !== lang && exists(pathForLanguage(code)));
+  if (fallback) {
+    warnings.push(`missing ${kind}: ${assetPath} (falls back to ${fallback})`);
+  } else {
+    problems.push(`missing ${kind}: ${assetPath}`);
+  }
+}
+
+function checkAssets(i18n, lang, pages, problems, warnings) {
+  const screenshots = new Set();
+  pages.forEach(({ screenshots: files }) => files.forEach(file => screenshots.add(file)));
+
+  screenshots.forEach(file => {
+    checkAsset(i18n, lang, 'screenshot', code => `assets/screenshots/${code}/${file}`, problems, warnings);
+  });
+
+  checkAsset(i18n, lang, 'badge', code => `assets/app-store-badges/${code}.svg`, problems, warnings);
+}
+
+function checkReviews(reviews, lang, problems) {
+  reviews.forEach(review => {
+    const translation = review.translations && review.translations[lang];
+    if (!translation) {
+      problems.push(`review ${review.id} (${review.author}): missing translation`);
+      return;
+    }
+    ['title', 'text'].forEach(field => {
+      if (typeof translation[field] !== 'string' || !translation[field].trim()) {
+        problems.push(`review ${review.id} (${review.author}): empty ${field}`);
+      }
+    });
+  });
+}
+
+/**
+ * Describe the shape of a privacy policy document, e.g. "h:paragraph,list/3",
+ * so translations can be compared block by block with the reference
+ *
+ * @param {Object} policy - Parsed data/privacy/<lang>.json
+ * @returns {string[]} One signature per section
+ */
+function policyShape(policy) {
+  return (policy.sections || []).map(section => (section.heading ? 'h:' : '') + (section.blocks || [])
+    .map(block => block.type === 'list' ? `list/${(block.items || []).length}` : block.type)
+    .join(','));
+}
+
+function checkPrivacyPolicy(i18n, lang, reference, problems, warnings) {
+  const policyPath = code => `data/privacy/${code}.json`;
+  if (!exists(policyPath(lang))) {
+    checkAsset(i18n, lang, 'privacy policy', policyPath, problems, warnings);
+    return;
+  }
+
+  const policy = readJson(policyPath(lang));
+  const shape = policyShape(policy);
+  reference.forEach((expected, i) => {
+    if (shape[i] === undefined) {
+      problems.push(`privacy policy: missing section ${i + 1}`);
+    } else if (shape[i] !== expected) {
+      problems.push(`privacy policy: section ${i + 1} does not match ${REFERENCE_LANGUAGE} (${shape[i]} vs ${expected})`);
+    }
+  });
+  if (shape.length > reference.length) {
+    problems.push(`privacy policy: ${shape.length - reference.length} extra section(s)`);
+  }
+
+  const texts = policy.sections.flatMap(section => [section.heading, ...(section.blocks || [])
+    .flatMap(block => block.type === 'list' ? block.items : [block.text])]);
+  if (texts.some(text => text !== undefined && (typeof text !== 'string' || !text.trim()))) {
+    problems.push('privacy policy: empty text');
+  }
+}
+
+// privacy-policy.html carries the English policy for visitors without
+// JavaScript; it must match data/privacy/en.json
+function checkStaticPolicy(problems) {
+  const page = readText('privacy-policy.html');
+  const expected = PrivacyPolicy.replaceStatic(page, PrivacyPolicy.render(readJson(`data/privacy/${REFERENCE_LANGUAGE}.json`)), REFERENCE_LANGUAGE);
+  if (page !== expected) {
+    problems.push('privacy-policy.html: policy text differs from data/privacy/en.json (run node tools/prerender.js --sync-source)');
+  }
+}
+
+function main() {
+  const allowFallback = process.argv.includes('--allow-fallback');
+  const i18n = new I18n();
+  i18n.translations = loadTranslations();
+  const reviews = loadReviews();
+  const reference = flatten(i18n.translations[REFERENCE_LANGUAGE]);
+  const referencePolicy = policyShape(readJson(`data/privacy/${REFERENCE_LANGUAGE}.json`));
+  const pages = new Map(HTML_PAGES.map(page => [page, scanHtml(readText(page))]));
+
+  let total = 0;
+  let totalWarnings = 0;
+
+  for (const lang of i18n.supportedLanguages) {
+    const problems = [];
+    const warnings = [];
+
+    if (!i18n.translations[lang]) {
+      problems.push('no translations for this language');
+    } else {
+      checkStrings(i18n, lang, reference, problems);
+      checkPageKeys(i18n, lang, pages, problems);
+    }
+    checkAssets(i18n, lang, pages, problems, warnings);
+    checkReviews(reviews, lang, problems);
+    checkPrivacyPolicy(i18n, lang, referencePolicy, problems, warnings);
+    if (lang === REFERENCE_LANGUAGE) {
+      checkStaticPolicy(problems);
+    }
+
+    if (!allowFallback) {
+      problems.push(...warnings.splice(0));
+    }
+
+    total += problems.length;
+    totalWarnings += warnings.length;
+    if (problems.length === 0 && warnings.length === 0) {
+      console.log(`✓ ${lang}: complete`);
+    } else if (problems.length === 0) {
+      console.log(`~ ${lang}: ${warnings.length} fallback${warnings.length === 1 ? '' : 's'}`);
+    } else {
+      console.log(`✗ ${lang}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    }
+    problems.forEach(problem => console.log(`    ${problem}`));
+    warnings.forEach(warning => console.log(`    ${warning}`));
+  }
+
+  const unsupported = Object.keys(i18n.translations).filter(lang => !i18n.supportedLanguages.includes(lang));
+  unsupported.forEach(lang => {
+    console.log(`! ${lang}: has translations but is not in supportedLanguages`);
+  });
+
+  console.log('');
+  if (total > 0) {
+    console.log(`${total} problem${total === 1 ? '' : 's'} found`);
+    process.exit(1);
+  }
+  if (totalWarnings > 0) {
+    console.log(`All ${i18n.supportedLanguages.length} languages are complete (${totalWarnings} asset${totalWarnings === 1 ? '' : 's'} served from a fallback language)`);
+  } else {
+    console.log(`All ${i18n.supportedLanguages.length} languages are complete`);
+  }
+}
+
+main();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+// import-reviews.js — Imports App Store customer reviews into the site
+//
+// Reads one or more saved App Store customer-review feeds (the RSS feed in
+// its JSON form, https://itunes.apple.com/<country>/rss/customerreviews/
+// id=<app id>/sortby=mostrecent/json) and adds their reviews to the site:
+// metadata in data/reviews.json, title and text in
+// data/reviews/<originalLanguage>.json.
+//
+//   - Reviews already on the site, or repeated across feeds, are skipped
+//     (matched by App Store review id)
+//   - Reviews below --min-rating stars or shorter than --min-length
+//     characters are skipped
+//   - The merged reviews are validated against data/reviews.schema.json;
+//     nothing is written if they don't match
+//   - Reviews without a translation for every supported language are listed,
+//     so they can be translated before publishing
+//
+// The review language is taken from the feed's storefront (/de/rss/... → de)
+// unless --language is given.
+//
+// Usage: node tools/import-reviews.js <feed.json>... [--language de]
+//          [--min-rating 4] [--min-length 30] [--dry-run]
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../scripts/i18n.js');
+const { validate } = require('./lib/json-schema.js');
+const { readJson, writeJson, listLanguages, loadReviews } = require('./lib/site-data.js');
+
+// Language of the reviews in each App Store storefront the site is translated for
+const STOREFRONT_LANGUAGES = {
+  'us': 'en', 'gb': 'en', 'au': 'en', 'ca': 'en', 'ie': 'en', 'nz': 'en',
+  'de': 'de', 'at': 'de', 'ch': 'de', 'fr': 'fr', 'be': 'fr',
+  'es': 'es', 'mx': 'es', 'it': 'it', 'jp': 'ja', 'kr': 'ko', 'ru': 'ru',
+  'cn': 'zh-Hans', 'sg': 'zh-Hans', 'tw': 'zh-Hant', 'hk': 'zh-Hant', 'mo': 'zh-Hant',
+  'sa': 'ar', 'ae': 'ar', 'eg': 'ar', 'il': 'he'
+};
+
+function parseArgs(argv) {
+  const options = { files: [], language: null, minRating: 4, minLength: 30, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--language') {
+      options.language = argv[++i];
+    } else if (argv[i] === '--min-rating') {
+      options.minRating = Number(argv[++i]);
+    } else if (argv[i] === '--min-length') {
+      options.minLength = Number(argv[++i]);
+    } else if (argv[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (argv[i].startsWith('--')) {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    } else {
+      options.files.push(argv[i]);
+    }
+  }
+  if (options.files.length === 0) {
+    throw new Error('No feed files given');
+  }
+  if (!Number.isFinite(options.minRating) || !Number.isFinite(options.minLength)) {
+    throw new Error('--min-rating and --min-length take a number');
+  }
+  return options;
+}
+
+function label(field) {
+  return field && typeof field.label === 'string' ? field.label.trim() : '';
+}
+
+/**
+ * Find the storefront country of a feed from its self URL
+ *
+ * @param {Object} feed - Parsed feed (the "feed" object)
+ * @returns {string|null} Lowercase country code, e.g. "de"
+ */
+function feedCountry(feed) {
+  const urls = [label(feed.id)].concat([].concat(feed.link || []).map(link => link.attributes && link.attributes.href));
+  for (const url of urls) {
+    const match = /\/([a-z]{2})\/rss\/customerreviews\//i.exec(url || '');
+    if (match) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Read the reviews of one feed file in the site's review format
+ *
+ * @param {string} file - Path to a saved feed
+ * @param {I18n} i18n - I18n instance (for the supported languages)
+ * @param {string|null} language - Review language, overriding the storefront's
+ * @returns {Object[]} Reviews with a translations map holding the original text
+ */
+function readFeed(file, i18n, language) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data || !data.feed) {
+    throw new Error(`${file}: not an App Store customer-review feed (no "feed" object)`);
+  }
+
+  const country = feedCountry(data.feed);
+  const lang = i18n.matchSupportedLanguage(language || STOREFRONT_LANGUAGES[country]);
+  if (!lang) {
+    throw new Error(language
+      ? `${file}: unsupported language "${language}"`
+      : `${file}: unknown storefront "${country || '?'}", pass --language`);
+  }
+
+  // A feed with one review has a single entry object; the first entry of
+  // older feeds describes the app itself and has no rating
+  return [].concat(data.feed.entry || [])
+    .filter(entry => entry['im:rating'])
+    .map(entry => ({
+      id: label(entry.id),
+      originalLanguage: lang,
+      author: label(entry.author && entry.author.name),
+      date: label(entry.updated).slice(0, 10),
+      rating: Number(label(entry['im:rating'])),
+      translations: {
+        [lang]: {
+          title: label(entry.title),
+          text: label(entry.content).replace(/\r\n?/g, '\n')
+        }
+      }
+    }));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const i18n = new I18n();
+  const existing = loadReviews();
+  const seen = new Set(existing.map(review => review.id));
+  const skipped = { duplicate: 0, rating: 0, length: 0 };
+  const imported = [];
+
+  for (const file of options.files) {
+    for (const review of readFeed(file, i18n, options.language)) {
+      const { text } = review.translations[review.originalLanguage];
+      if (seen.has(review.id)) {
+        skipped.duplicate++;
+      } else if (review.rating < options.minRating) {
+        skipped.rating++;
+      } else if ([...text].length < options.minLength) {
+        skipped.length++;
+      } else {
+        seen.add(review.id);
+        imported.push(review);
+      }
+    }
+  }
+
+  // New reviews go after the curated ones, newest first
+  imported.sort((a, b) => b.date.localeCompare(a.date));
+  const reviews = existing.concat(imported);
+
+  const problems = validate({ reviews }, readJson('data/reviews.schema.json'));
+  reviews.forEach((review, i) => {
+    if (!i18n.supportedLanguages.includes(review.originalLanguage)) {
+      problems.push(`$.reviews[${i}].originalLanguage: "${review.originalLanguage}" is not a supported language`);
+    }
+  });
+
+  console.log(`${imported.length} new review${imported.length === 1 ? '' : 's'} ` +
+    `(skipped ${skipped.duplicate} already imported, ${skipped.rating} below ${options.minRating} stars, ` +
+    `${skipped.length} shorter than ${options.minLength} characters)`);
+
+  if (problems.length > 0) {
+    console.log('\nThe reviews do not match data/reviews.schema.json:');
+    problems.forEach(problem => console.log(`    ${problem}`));
+    process.exit(1);
+  }
+
+  const untranslated = reviews
+    .map(review => ({ review, missing: i18n.supportedLanguages.filter(lang => !review.translations[lang]) }))
+    .filter(({ missing }) => missing.length > 0);
+  if (untranslated.length > 0) {
+    console.log(`\n${untranslated.length} review${untranslated.length === 1 ? '' : 's'} missing translations:`);
+    untranslated.forEach(({ review, missing }) => {
+      console.log(`    review ${review.id} (${review.author}): ${missing.join(', ')}`);
+    });
+    console.log('Add them to data/reviews/<lang>.json and run tools/check-translations.js');
+  }
+
+  if (options.dryRun || imported.length === 0) {
+    return;
+  }
+
+  writeJson('data/reviews.json', {
+    reviews: reviews.map(({ id, originalLanguage, author, date, rating }) => ({ id, originalLanguage, author, date, rating }))
+  });
+
+  const languages = new Set(listLanguages('data/reviews'));
+  imported.forEach(review => languages.add(review.originalLanguage));
+  languages.forEach(lang => {
+    const bundle = {};
+    reviews.forEach(review => {
+      if (review.translations[lang]) {
+        bundle[review.id] = review.translations[lang];
+      }
+    });
+    writeJson(path.join('data', 'reviews', `${lang}.json`), bundle);
+  });
+
+  console.log(`\nWrote data/reviews.json and ${languages.size} text bundles in data/reviews/`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`import-reviews: ${error.message}`);
+  process.exit(1);
+}
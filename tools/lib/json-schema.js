@@ -0,0 +1,88 @@
+// json-schema.js — Minimal JSON Schema validator (Node tools)
+//
+// Covers the keywords the site's schemas use: type, enum, required,
+// properties, additionalProperties, propertyNames, items, pattern,
+// minLength, minimum and maximum. Unknown keywords are ignored.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {*} value - Parsed JSON
+ * @param {Object} schema - Schema (subset of draft 2020-12)
+ * @param {string} [path] - Location of value, used in messages
+ * @returns {string[]} Problems, e.g. "$.reviews[3].rating: must be <= 5"; empty if valid
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path}: must not be empty`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${path}: missing ${key}`);
+      }
+    });
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}.${key}`;
+      if (schema.propertyNames) {
+        errors.push(...validate(key, schema.propertyNames, `${path} key ${JSON.stringify(key)}`));
+      }
+      if (properties[key]) {
+        errors.push(...validate(item, properties[key], itemPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${itemPath}: unexpected property`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(item, schema.additionalProperties, itemPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validate };
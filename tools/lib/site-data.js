@@ -0,0 +1,69 @@
+// site-data.js — Shared readers for the site's content files (Node tools)
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+function readText(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function writeJson(file, data) {
+  fs.writeFileSync(path.join(ROOT, file), `${JSON.stringify(data, null, 2)}\n`);
+}
+
+function exists(file) {
+  return fs.existsSync(path.join(ROOT, file));
+}
+
+function listLanguages(dir) {
+  return fs.readdirSync(path.join(ROOT, dir))
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.slice(0, -'.json'.length))
+    .sort();
+}
+
+/**
+ * Load UI strings for every language from the per-locale bundles
+ *
+ * @returns {Object} Translations keyed by language code
+ */
+function loadTranslations() {
+  const translations = {};
+  for (const lang of listLanguages('data/locales')) {
+    translations[lang] = readJson(`data/locales/${lang}.json`);
+  }
+  return translations;
+}
+
+/**
+ * Load reviews with all their translations
+ *
+ * Merges the metadata in data/reviews.json with the per-locale text in
+ * data/reviews/<lang>.json into one object per review.
+ *
+ * @returns {Object[]} Reviews with a translations map ({ [lang]: { title, text } })
+ */
+function loadReviews() {
+  const texts = {};
+  for (const lang of listLanguages('data/reviews')) {
+    texts[lang] = readJson(`data/reviews/${lang}.json`);
+  }
+
+  return readJson('data/reviews.json').reviews.map(review => {
+    const translations = {};
+    for (const [lang, bundle] of Object.entries(texts)) {
+      if (bundle[review.id]) {
+        translations[lang] = bundle[review.id];
+      }
+    }
+    return { ...review, translations };
+  });
+}
+
+module.exports = { ROOT, readJson, writeJson, readText, exists, listLanguages, loadTranslations, loadReviews };
@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+// prerender.js — Builds a static, fully translated copy of the site
+//
+// Writes one copy of each page per locale (dist/<lang>/index.html and
+// dist/<lang>/privacy-policy.html) with the data-i18n text, meta tags,
+// App Store badge, screenshots, review cards and policy text already
+// rendered, copies the static files next to them, regenerates the
+// sitemap with every locale URL and stamps the service worker's cache
+// version with a hash of the build.
+//
+// With --sync-source, only rewrites the fallbacks written into the source
+// pages for crawlers and visitors without JavaScript: the aggregateRating in
+// index.html's JSON-LD and the English policy in privacy-policy.html.
+//
+// Usage: node tools/prerender.js [--out dist] [--site-url https://coins-app.com/]
+//        node tools/prerender.js --sync-source
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../scripts/i18n.js');
+const PrivacyPolicy = require('../scripts/privacy.js');
+const StructuredData = require('../scripts/structured-data.js');
+const { ROOT, readJson, readText, exists, loadTranslations, loadReviews } = require('./lib/site-data.js');
+
+// Deployable files copied as-is into the output directory
+const STATIC_ENTRIES = ['assets', 'data', 'scripts', 'styles', 'robots.txt', 'CNAME'];
+
+// Same locale mapping as formatDate() in scripts/main.js
+const DATE_LOCALES = {
+  'en': 'en-US', 'de': 'de-DE', 'fr': 'fr-FR', 'es': 'es-ES',
+  'it': 'it-IT', 'ja': 'ja-JP', 'zh-Hans': 'zh-CN', 'zh-Hant': 'zh-TW',
+  'ko': 'ko-KR', 'ru': 'ru-RU', 'ar': 'ar', 'he': 'he-IL'
+};
+
+function parseArgs(argv) {
+  const options = { out: path.join(ROOT, 'dist'), siteUrl: null, syncSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      options.out = path.resolve(argv[++i]);
+    } else if (argv[i] === '--site-url') {
+      options.siteUrl = argv[++i];
+    } else if (argv[i] === '--sync-source') {
+      options.syncSource = true;
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Set (or add) an attribute on an opening tag string
+ *
+ * @param {string} tag - Opening tag, e.g. '<img src="a.png">'
+ * @param {string} name - Attribute name
+ * @param {string} value - Unescaped attribute value
+ * @returns {string} Updated tag
+ */
+function setAttribute(tag, name, value) {
+  const pattern = new RegExp(`(\\s${name}=)"[^"]*"`);
+  const escaped = escapeHtml(value);
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, `$1"${escaped}"`);
+  }
+  return tag.replace(/\s*(\/?)>$/, ` ${name}="${escaped}"$1>`);
+}
+
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}=(?:"([^"]*)"|'([^']*)')`));
+  return match ? (match[1] !== undefined ? match[1] : match[2]) : null;
+}
+
+function formatDate(dateString, lang) {
+  try {
+    return new Date(dateString).toLocaleDateString(DATE_LOCALES[lang] || 'en-US', {
+      year: 'numeric', month: 'short', day: 'numeric'
+    });
+  } catch {
+    return dateString;
+  }
+}
+
+/**
+ * Pair every review with its text in a language, like loadReviewEntries()
+ * in scripts/main.js
+ *
+ * @returns {Array<{review: Object, text: Object, textLanguage: string}>}
+ */
+function reviewEntries(reviews, i18n, lang) {
+  const chain = i18n.getFallbackChain(lang);
+  return reviews
+    .map(review => {
+      const textLanguage = chain.find(code => review.translations[code]);
+      return textLanguage ? { review, text: review.translations[textLanguage], textLanguage } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Render review cards with the same markup loadReviews() builds at runtime
+ *
+ * @returns {string[]} HTML for the two review rows
+ */
+function renderReviewRows(entries, i18n, lang) {
+  const rows = ['', ''];
+  const mid = Math.ceil(entries.length / 2);
+
+  entries.forEach(({ review, text: translation, textLanguage }, i) => {
+    const langAttrs = textLanguage !== lang ? ` lang="${textLanguage}" dir="${i18n.getDirection(textLanguage)}"` : '';
+    const stars = '★'.repeat(review.rating) + '☆'.repeat(5 - review.rating);
+    const ratingLabel = i18n.t('sections.reviews.rating', { rating: review.rating }, lang);
+    rows[i < mid ? 0 : 1] += `
+          <div class="review-card">
+            <div class="review-header">
+              <span class="review-author">${escapeHtml(review.author)}</span>
+              <span class="review-date">${formatDate(review.date, lang)}</span>
+            </div>
+            <div class="review-rating" aria-label="${escapeHtml(ratingLabel)}">${stars}</div>
+            <h4 class="review-title"${langAttrs}>${escapeHtml(translation.title)}</h4>
+            <p class="review-text"${langAttrs}>${escapeHtml(translation.text)}</p>
+          </div>`;
+  });
+
+  return rows.map(row => `${row}\n        `);
+}
+
+/**
+ * Pick the first localized asset that exists along the fallback chain
+ *
+ * @param {I18n} i18n - I18n instance
+ * @param {string} lang - Language code
+ * @param {function(string): string} pathForLanguage - Asset path for a language code
+ * @returns {string} Asset path relative to the site root
+ */
+function localizedAsset(i18n, lang, pathForLanguage) {
+  const chain = i18n.getFallbackChain(lang);
+  const code = chain.find(candidate => exists(pathForLanguage(candidate))) || chain[chain.length - 1];
+  return pathForLanguage(code);
+}
+
+function localeUrl(siteUrl, lang, page = '') {
+  return new URL(`${lang ? `${lang}/` : ''}${page}`, siteUrl).href;
+}
+
+/**
+ * Translate the parts every page shares: html attributes, data-i18n text,
+ * meta tags, hreflang alternates and relative URLs
+ *
+ * @param {string} html - Page source
+ * @param {Object} context - { i18n, siteUrl }
+ * @param {string} lang - Language code
+ * @param {string} prefix - Path from the page back to the site root ("" or "../")
+ * @param {string} page - Page path relative to a locale root ("" for the home page)
+ * @returns {string} Translated HTML
+ */
+function localizeDocument(html, { i18n, siteUrl }, lang, prefix, page) {
+  // <html lang="de" dir="ltr" data-prerendered="de">
+  html = html.replace(/<html\b[^>]*>/, tag =>
+    setAttribute(setAttribute(setAttribute(tag, 'lang', lang), 'dir', i18n.getDirection(lang)), 'data-prerendered', lang));
+
+  // Text of data-i18n elements
+  html = html.replace(/(<([a-z][a-z0-9]*)\b[^>]*\sdata-i18n="([^"]+)"[^>]*>)([\s\S]*?)(<\/\2>)/g,
+    (match, openTag, tagName, key, text, closeTag) => {
+      let params = {};
+      const rawParams = getAttribute(openTag, 'data-i18n-params');
+      if (rawParams) {
+        params = JSON.parse(rawParams.replace(/&quot;/g, '"'));
+      }
+      const translation = i18n.t(key, params, lang);
+      return translation === key ? match : `${openTag}${escapeHtml(translation)}${closeTag}`;
+    });
+
+  // Meta tags with data-i18n-content
+  html = html.replace(/<meta\b[^>]*\sdata-i18n-content="([^"]+)"[^>]*>/g,
+    (tag, key) => setAttribute(tag, 'content', i18n.t(key, {}, lang)));
+
+  // Accessible names with data-i18n-aria-label
+  html = html.replace(/<[a-z][a-z0-9]*\b[^>]*\sdata-i18n-aria-label="([^"]+)"[^>]*>/g,
+    (tag, key) => setAttribute(tag, 'aria-label', i18n.t(key, {}, lang)));
+
+  // hreflang alternates for search engines
+  const alternates = i18n.supportedLanguages
+    .map(code => `  <link rel="alternate" hreflang="${code}" href="${localeUrl(siteUrl, code, page)}">`)
+    .concat(`  <link rel="alternate" hreflang="x-default" href="${localeUrl(siteUrl, null, page)}">`)
+    .join('\n');
+  html = html.replace(/(\s*)<\/head>/, `\n\n  <!-- Language alternates -->\n${alternates}$1</head>`);
+
+  // Relative URLs resolve from the site root, not /<lang>/; data-i18n-link
+  // links stay in the locale directory
+  if (prefix) {
+    html = html.replace(/<[a-z][^>]*>/g, tag => /\sdata-i18n-link\b/.test(tag)
+      ? tag
+      : tag.replace(/(\s(?:href|src)=")\.\//g, `$1${prefix}`));
+  }
+
+  return html;
+}
+
+/**
+ * Render index.html in one language
+ *
+ * @param {string} template - Source index.html
+ * @param {Object} context - { i18n, reviews, siteUrl }
+ * @param {string} lang - Language code
+ * @param {string} prefix - Path from the page back to the site root ("" or "../")
+ * @returns {string} Prerendered HTML
+ */
+function renderHomePage(template, context, lang, prefix) {
+  const { i18n, reviews, siteUrl } = context;
+  let html = template;
+
+  const title = i18n.t('meta.title', {}, lang);
+  const description = i18n.t('meta.description', {}, lang);
+  html = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(title)}</title>`);
+  html = html.replace(/<meta property="og:title"[^>]*>/, tag => setAttribute(tag, 'content', title));
+  html = html.replace(/<meta property="og:description"[^>]*>/, tag => setAttribute(tag, 'content', description));
+  html = html.replace(/<meta property="og:url"[^>]*>/, tag => setAttribute(tag, 'content', localeUrl(siteUrl, lang)));
+
+  // App Store badges, linking to the language's storefront
+  html = html.replace(/(<a\b[^>]*class="app-store-badge"[^>]*>\s*)(<img\b[^>]*>)/g,
+    (match, link, img) => setAttribute(link, 'href', i18n.getAppStoreUrl(getAttribute(link, 'href'), lang))
+      + setAttribute(setAttribute(img, 'src', `./${localizedAsset(i18n, lang, code => `assets/app-store-badges/${code}.svg`)}`), 'alt', i18n.t('hero.cta', {}, lang)));
+
+  // Localized screenshots
+  html = html.replace(/<img\b[^>]*\sdata-screenshot="([^"]+)"[^>]*>/g,
+    (tag, file) => setAttribute(tag, 'src', `./${localizedAsset(i18n, lang, code => `assets/screenshots/${code}/${file}`)}`));
+
+  // Review cards
+  const entries = reviewEntries(reviews, i18n, lang);
+  const rows = renderReviewRows(entries, i18n, lang);
+  html = html.replace(/(<div class="reviews-row[^"]*" id="reviews-row-(\d)">)(<\/div>)/g,
+    (match, open, n, close) => `${open}${rows[Number(n) - 1]}${close}`);
+
+  // schema.org JSON-LD with the reviews in this language
+  html = html.replace(/(<script type="application\/ld\+json"[^>]*>)([\s\S]*?)(<\/script>)/, (match, open, json, close) => {
+    const source = getAttribute(open, 'data-rating-source');
+    const rating = source && exists(source) ? readJson(source) : null;
+    const data = StructuredData.build(StructuredData.parse(json), { rating, reviews: entries, lang, i18n });
+    return `${open}${StructuredData.serialize(data)}${close}`;
+  });
+
+  return localizeDocument(html, context, lang, prefix, '');
+}
+
+/**
+ * Render privacy-policy.html in one language, with the policy text from
+ * the first data/privacy/<lang>.json along the fallback chain
+ *
+ * @param {string} template - Source privacy-policy.html
+ * @param {Object} context - { i18n, siteUrl }
+ * @param {string} lang - Language code
+ * @param {string} prefix - Path from the page back to the site root ("" or "../")
+ * @returns {string} Prerendered HTML
+ */
+function renderPrivacyPage(template, context, lang, prefix) {
+  const policyPath = localizedAsset(context.i18n, lang, code => `data/privacy/${code}.json`);
+  const html = PrivacyPolicy.replaceStatic(template, PrivacyPolicy.render(readJson(policyPath)), lang);
+
+  return localizeDocument(html, context, lang, prefix, 'privacy-policy.html');
+}
+
+/**
+ * Set the static aggregateRating in index.html's JSON-LD, which the page
+ * keeps until scripts/structured-data.js adds the reviews
+ *
+ * @param {string} template - Source index.html
+ * @param {Object[]} reviews - Review metadata
+ * @returns {string} Updated index.html
+ */
+function syncStaticRating(template, reviews) {
+  return template.replace(/(<script type="application\/ld\+json"[^>]*>)([\s\S]*?)(<\/script>)/, (match, open, json, close) => {
+    const source = getAttribute(open, 'data-rating-source');
+    const rating = source && exists(source) ? readJson(source) : null;
+    const data = StructuredData.parse(json);
+    const aggregate = StructuredData.aggregateRating(rating, reviews);
+    if (aggregate) {
+      data.aggregateRating = aggregate;
+    }
+    return `${open}${StructuredData.serialize(data)}${close}`;
+  });
+}
+
+// Source pages with their static fallbacks brought up to date
+function syncedSources() {
+  return {
+    'index.html': syncStaticRating(readText('index.html'), loadReviews()),
+    'privacy-policy.html': PrivacyPolicy.replaceStatic(readText('privacy-policy.html'),
+      PrivacyPolicy.render(readJson('data/privacy/en.json')), 'en')
+  };
+}
+
+/**
+ * Rewrite the static fallbacks in the source pages
+ */
+function syncSource() {
+  for (const [file, synced] of Object.entries(syncedSources())) {
+    const changed = synced !== readText(file);
+    fs.writeFileSync(path.join(ROOT, file), synced);
+    console.log(changed ? `Updated ${file}` : `${file} is up to date`);
+  }
+}
+
+// Pages built per locale, keyed by their path relative to a locale root
+const PAGES = {
+  '': { source: 'index.html', render: renderHomePage },
+  'privacy-policy.html': { source: 'privacy-policy.html', render: renderPrivacyPage }
+};
+
+/**
+ * Expand one source sitemap entry for a page in PAGES into an entry per
+ * locale with hreflang alternates; other entries are kept as they are
+ *
+ * @param {string} entry - Source <url> element
+ * @param {string} siteUrl - Absolute site root URL
+ * @param {string[]} languages - Supported language codes
+ * @param {string} today - Build date (YYYY-MM-DD)
+ * @returns {string} Sitemap XML for the entry
+ */
+function renderSitemapEntry(entry, siteUrl, languages, today) {
+  const field = name => (entry.match(new RegExp(`<${name}>([^<]*)</${name}>`)) || [])[1];
+  const rootUrl = localeUrl(siteUrl, null);
+  const loc = field('loc') || '';
+  const page = loc.startsWith(rootUrl) ? loc.slice(rootUrl.length) : null;
+  if (page === null || !PAGES[page]) {
+    return `  ${entry}`;
+  }
+
+  // The home page changes with every build; other pages keep their own date
+  const lastmod = page === '' ? today : (field('lastmod') || today);
+  const changefreq = field('changefreq') || 'monthly';
+  const priority = Number(field('priority') || '0.5');
+
+  const alternates = languages
+    .map(code => `    <xhtml:link rel="alternate" hreflang="${code}" href="${localeUrl(siteUrl, code, page)}"/>`)
+    .concat(`    <xhtml:link rel="alternate" hreflang="x-default" href="${localeUrl(siteUrl, null, page)}"/>`)
+    .join('\n');
+
+  return [null, ...languages].map(code => `  <url>
+    <loc>${localeUrl(siteUrl, code, page)}</loc>
+    <lastmod>${lastmod}</lastmod>
+    <changefreq>${changefreq}</changefreq>
+    <priority>${(code ? priority - 0.1 : priority).toFixed(1)}</priority>
+${alternates}
+  </url>`).join('\n');
+}
+
+/**
+ * Rebuild sitemap.xml with every locale URL of the prerendered pages,
+ * keeping any other hand-maintained entries
+ *
+ * @param {string} source - Source sitemap.xml
+ * @param {string} siteUrl - Absolute site root URL
+ * @param {string[]} languages - Supported language codes
+ * @returns {string} Sitemap XML
+ */
+function renderSitemap(source, siteUrl, languages) {
+  const today = new Date().toISOString().slice(0, 10);
+  const entries = source.match(/<url>[\s\S]*?<\/url>/g) || [];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${entries.map(entry => renderSitemapEntry(entry, siteUrl, languages, today)).join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * Copy sw.js into the build with CACHE_VERSION set to a hash of everything
+ * else in it, so any change to the site invalidates the visitors' caches
+ *
+ * @param {string} out - Output directory
+ * @returns {string} Cache version
+ */
+function writeServiceWorker(out) {
+  const source = readText('sw.js');
+  const hash = crypto.createHash('sha256').update(source);
+  fs.readdirSync(out, { recursive: true })
+    .map(file => file.split(path.sep).join('/'))
+    .sort()
+    .forEach(file => {
+      const fullPath = path.join(out, file);
+      if (fs.statSync(fullPath).isFile()) {
+        hash.update(file).update(fs.readFileSync(fullPath));
+      }
+    });
+
+  const version = hash.digest('hex').slice(0, 12);
+  const stamped = source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`);
+  if (stamped === source) {
+    throw new Error('sw.js has no CACHE_VERSION to stamp');
+  }
+  fs.writeFileSync(path.join(out, 'sw.js'), stamped);
+  return version;
+}
+
+function build(options) {
+  const ogUrl = readText('index.html').match(/<meta property="og:url" content="([^"]+)"/);
+  const siteUrl = options.siteUrl || (ogUrl ? ogUrl[1] : 'https://coins-app.com/');
+
+  const i18n = new I18n();
+  i18n.translations = loadTranslations();
+  const reviews = loadReviews();
+  const context = { i18n, reviews, siteUrl };
+
+  fs.rmSync(options.out, { recursive: true, force: true });
+  fs.mkdirSync(options.out, { recursive: true });
+
+  for (const entry of STATIC_ENTRIES) {
+    const source = path.join(ROOT, entry);
+    if (fs.existsSync(source)) {
+      fs.cpSync(source, path.join(options.out, entry), { recursive: true });
+    }
+  }
+
+  for (const { source, render } of Object.values(PAGES)) {
+    const template = readText(source);
+
+    // The root pages are the English version; I18n still switches them to
+    // the visitor's saved or detected language at runtime
+    fs.writeFileSync(path.join(options.out, source), render(template, context, 'en', ''));
+
+    for (const lang of i18n.supportedLanguages) {
+      const dir = path.join(options.out, lang);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, source), render(template, context, lang, '../'));
+    }
+  }
+
+  const sitemap = readText('sitemap.xml');
+  fs.writeFileSync(path.join(options.out, 'sitemap.xml'), renderSitemap(sitemap, siteUrl, i18n.supportedLanguages));
+
+  const version = writeServiceWorker(options.out);
+
+  // The build has its own, but the source pages should not fall behind
+  for (const [file, synced] of Object.entries(syncedSources())) {
+    if (synced !== readText(file)) {
+      console.warn(`prerender: ${file} has outdated fallback content; run node tools/prerender.js --sync-source`);
+    }
+  }
+
+  console.log(`Prerendered ${Object.keys(PAGES).length} pages in ${i18n.supportedLanguages.length} locales into ${path.relative(process.cwd(), options.out) || '.'} (cache version ${version})`);
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.syncSource) {
+    syncSource();
+  } else {
+    build(options);
+  }
+} catch (error) {
+  console.error(`prerender: ${error.message}`);
+  process.exit(1);
+}